@@ -0,0 +1,66 @@
+/**
+ * Attribute names for LiveCable.
+ *
+ * Every attribute LiveCable reads from templates or sets on elements is
+ * spelled with a prefix, `live-` by default (`live-action`, `live-key`,
+ * `live-loading`...). Apps whose HTML validators or linters reject unknown
+ * attributes can switch every one of them to `data-live-`:
+ *
+ *     LiveCable.configure({ attributePrefix: "data-live-" })
+ *
+ * together with `config.attribute_prefix = "data-live-"` on the server, so
+ * components are rendered with the same spelling.
+ */
+class Attributes {
+  /** @type {RegExp} - Prefixes must be valid attribute names ending in a dash */
+  static PREFIX_FORMAT = /^[a-z][a-z0-9-]*-$/
+
+  /** @type {string} */
+  #prefix = 'live-'
+
+  /** @returns {string} */
+  get prefix() {
+    return this.#prefix
+  }
+
+  /**
+   * @param {string} value - e.g. "data-live-"
+   * @throws {Error} When the value isn't a valid prefix
+   */
+  set prefix(value) {
+    if (!this.valid(value)) {
+      throw new Error(`LiveCable: "${value}" is not a valid attribute prefix, it must end with a dash`)
+    }
+
+    this.#prefix = value
+  }
+
+  /**
+   * Whether a value can be used as the prefix.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  valid(value) {
+    return typeof value === 'string' && Attributes.PREFIX_FORMAT.test(value)
+  }
+
+  /**
+   * The full name of an attribute.
+   * @param {string} name - The name without prefix, e.g. "key"
+   * @returns {string} e.g. "live-key"
+   */
+  name(name) {
+    return `${this.#prefix}${name}`
+  }
+
+  /**
+   * A selector for elements with an attribute.
+   * @param {string} name - The name without prefix, e.g. "key"
+   * @returns {string} e.g. "[live-key]"
+   */
+  selector(name) {
+    return `[${this.name(name)}]`
+  }
+}
+
+export default new Attributes()
@@ -0,0 +1,226 @@
+/**
+ * Client-only DOM commands for LiveCable.
+ *
+ * Runs the commands declared in `live-js` attributes without a round trip
+ * to the server, e.g. `live-js="click->toggle:#menu"`. Each command is
+ * `[event->]name[:argument][:selector]`; without a selector the command
+ * targets the element the attribute is on.
+ *
+ * - `show`, `hide`, `toggle` - the `hidden` attribute
+ * - `add_class:names`, `remove_class:names`, `toggle_class:names` - comma
+ *   separated class names
+ * - `set_attribute:name=value`, `remove_attribute:name`
+ * - `focus`
+ * - `dispatch:event-name` - a bubbling CustomEvent
+ *
+ * Class and attribute changes are remembered per element and re-applied to
+ * the server's HTML before every morph, so a re-render doesn't undo them.
+ */
+class Commands {
+  /** @type {Object.<string, number>} - Arguments each command takes before its selector */
+  static ARGUMENTS = {
+    show: 0,
+    hide: 0,
+    toggle: 0,
+    add_class: 1,
+    remove_class: 1,
+    toggle_class: 1,
+    set_attribute: 1,
+    remove_attribute: 1,
+    focus: 0,
+    dispatch: 1,
+  }
+
+  /** @type {Object.<string, string>} - Key filters whose KeyboardEvent#key is spelled differently */
+  static KEYS = {
+    esc: 'escape',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    page_up: 'pageup',
+    page_down: 'pagedown',
+    space: ' ',
+  }
+
+  /** @type {Array<string>} - Modifier keys a key filter can require */
+  static MODIFIERS = ['ctrl', 'meta', 'alt', 'shift']
+
+  /** @type {WeakMap<Element, {classes: Map<string, boolean>, attributes: Map<string, string|null>}>} */
+  #overrides = new WeakMap()
+
+  /**
+   * Parse a `live-js` attribute value.
+   *
+   * @param {string} value - e.g. "click->toggle:#menu focus:#search"
+   * @returns {Array<{event: string|null, name: string, argument: string|null, selector: string|null}>}
+   */
+  parse(value) {
+    if (!value) {
+      return []
+    }
+
+    return value.trim().split(/\s+/).map(commandString => {
+      const parts = commandString.split(/->/)
+      const [event, command] = parts.length === 2 ? parts : [null, parts[0]]
+      const [name, ...rest] = command.split(':')
+
+      if (!(name in Commands.ARGUMENTS)) {
+        throw new Error(`LiveCable: unknown live-js command "${name}"`)
+      }
+
+      // The selector takes whatever is left, so it may contain colons itself
+      const argument = Commands.ARGUMENTS[name] ? rest.shift() ?? null : null
+      const selector = rest.length ? rest.join(':') : null
+
+      return { event, name, argument, selector }
+    })
+  }
+
+  /**
+   * Run the commands of an element that apply to an event. Commands without
+   * an event run for any event that no other command on the element claims
+   * (in practice the element's default event).
+   *
+   * @param {Element} element - Element carrying the commands
+   * @param {Event} event - The event that triggered them
+   */
+  run(element, event) {
+    const commands = this.parse(element.getAttribute('data-live-commands'))
+    const claimed = new Set(commands.map(command => command.event && this.#eventName(command.event)).filter(Boolean))
+
+    commands
+      .filter(command => command.event ? this.#matches(command.event, event) : !claimed.has(event.type))
+      .forEach(command => {
+        this.#targets(element, command.selector).forEach(target => {
+          this.#execute(target, command)
+        })
+      })
+  }
+
+  // "keydown.ctrl.s@window" is a keydown event
+  #eventName(descriptor) {
+    return descriptor.split(/[.@]/)[0]
+  }
+
+  // Whether an event is the one a command's event descriptor names. Stimulus
+  // has already applied the key filter of the action it came through, but
+  // every filter on the element shares the same handler.
+  #matches(descriptor, event) {
+    if (this.#eventName(descriptor) !== event.type) {
+      return false
+    }
+
+    const filters = descriptor.replace(/@.*$/, '').split('.').slice(1)
+      .map(filter => filter.toLowerCase())
+      .filter(filter => filter !== 'outside')
+
+    if (filters.length === 0 || typeof event.key !== 'string') {
+      return true
+    }
+
+    const key = filters.find(filter => !Commands.MODIFIERS.includes(filter))
+
+    return Commands.MODIFIERS.every(modifier => filters.includes(modifier) === Boolean(event[`${modifier}Key`])) &&
+      (!key || (Commands.KEYS[key] ?? key) === event.key.toLowerCase())
+  }
+
+  /**
+   * Re-apply the class and attribute changes made by commands to the HTML
+   * an element is about to be morphed into.
+   *
+   * @param {Element} fromEl - The element in the page
+   * @param {Element} toEl - The server's version of it
+   */
+  restore(fromEl, toEl) {
+    const overrides = this.#overrides.get(fromEl)
+
+    if (!overrides) {
+      return
+    }
+
+    overrides.classes.forEach((present, name) => {
+      toEl.classList.toggle(name, present)
+    })
+
+    overrides.attributes.forEach((value, name) => {
+      if (value === null) {
+        toEl.removeAttribute(name)
+      } else {
+        toEl.setAttribute(name, value)
+      }
+    })
+  }
+
+  #targets(element, selector) {
+    return selector ? Array.from(document.querySelectorAll(selector)) : [element]
+  }
+
+  #execute(target, { name, argument }) {
+    switch (name) {
+      case 'show':
+        this.#setAttribute(target, 'hidden', null)
+        break
+      case 'hide':
+        this.#setAttribute(target, 'hidden', '')
+        break
+      case 'toggle':
+        this.#setAttribute(target, 'hidden', target.hasAttribute('hidden') ? null : '')
+        break
+      case 'add_class':
+        this.#classNames(argument).forEach(className => this.#setClass(target, className, true))
+        break
+      case 'remove_class':
+        this.#classNames(argument).forEach(className => this.#setClass(target, className, false))
+        break
+      case 'toggle_class':
+        this.#classNames(argument).forEach(className => {
+          this.#setClass(target, className, !target.classList.contains(className))
+        })
+        break
+      case 'set_attribute': {
+        const [attribute, ...value] = argument.split('=')
+        this.#setAttribute(target, attribute, value.join('='))
+        break
+      }
+      case 'remove_attribute':
+        this.#setAttribute(target, argument, null)
+        break
+      case 'focus':
+        target.focus()
+        break
+      case 'dispatch':
+        target.dispatchEvent(new CustomEvent(argument, { bubbles: true }))
+        break
+    }
+  }
+
+  #classNames(argument) {
+    return (argument || '').split(',').filter(Boolean)
+  }
+
+  #setClass(target, className, present) {
+    target.classList.toggle(className, present)
+    this.#overridesFor(target).classes.set(className, present)
+  }
+
+  #setAttribute(target, attribute, value) {
+    if (value === null) {
+      target.removeAttribute(attribute)
+    } else {
+      target.setAttribute(attribute, value)
+    }
+
+    this.#overridesFor(target).attributes.set(attribute, value)
+  }
+
+  #overridesFor(target) {
+    if (!this.#overrides.has(target)) {
+      this.#overrides.set(target, { classes: new Map(), attributes: new Map() })
+    }
+
+    return this.#overrides.get(target)
+  }
+}
+
+export default new Commands()
@@ -0,0 +1,250 @@
+/**
+ * Client configuration for LiveCable.
+ *
+ * Importing `@isometriks/live_cable` starts LiveCable once the importing
+ * modules have run, so options can be set right after the import:
+ *
+ *     import "@isometriks/live_cable"
+ *
+ *     LiveCable.configure({ turboCacheControl: false, outboxTimeout: 10000 })
+ *
+ * or, to start it by hand:
+ *
+ *     LiveCable.configure({ autoStart: false })
+ *     // ...
+ *     LiveCable.start({ consumer: { url: "wss://cable.example.com/cable" } })
+ *
+ * Options:
+ *
+ * - `autoStart` - start on import (default true)
+ * - `turboCacheControl` - keep pages with components out of Turbo's cache
+ *   with a `turbo-cache-control` meta tag (default true)
+ * - `morph` - morph adapter, see the morph module
+ * - `consumer` - ActionCable consumer options: `{ consumer, url, params }`
+ * - `outboxTimeout` - milliseconds messages sent while disconnected are kept
+ * - `suspendHiddenAfter` - milliseconds a tab stays hidden before its
+ *   subscriptions are suspended, resuming when it's shown (default never;
+ *   null or false turns it back off)
+ * - `debug` - log messages and renders to the console
+ * - `latency` - milliseconds of simulated latency
+ * - `attributePrefix` - prefix of every LiveCable attribute, e.g. `data-live-`
+ *   for HTML validators (default `live-`); must match the server's
+ *   `config.attribute_prefix` and be set before LiveCable starts
+ */
+import LiveObserver from "@isometriks/live_cable/observer"
+import SubscriptionManager from "@isometriks/live_cable/subscriptions"
+import DOM from "@isometriks/live_cable/dom"
+import Morph from "@isometriks/live_cable/morph"
+import Debug from "@isometriks/live_cable/debug"
+import Latency from "@isometriks/live_cable/latency"
+import Attributes from "@isometriks/live_cable/attributes"
+
+class LiveCable {
+  /** @type {Object.<string, string>} - Type of every option */
+  static OPTIONS = {
+    autoStart: 'boolean',
+    turboCacheControl: 'boolean',
+    morph: 'function',
+    consumer: 'object',
+    outboxTimeout: 'number',
+    suspendHiddenAfter: 'number',
+    debug: 'boolean',
+    latency: 'number',
+    attributePrefix: 'string',
+  }
+
+  /** @type {LiveObserver} */
+  #observer = new LiveObserver()
+  /** @type {boolean} */
+  #started = false
+  /** @type {Object} */
+  #options = { autoStart: true, turboCacheControl: true }
+
+  /**
+   * Set options. Every option is checked before any is applied.
+   *
+   * @param {Object} options
+   * @returns {LiveCable}
+   * @throws {Error} For unknown options and values of the wrong type
+   */
+  configure(options = {}) {
+    Object.entries(options).forEach(([name, value]) => this.#validate(name, value))
+    Object.entries(options).forEach(([name, value]) => this.#apply(name, value))
+
+    return this
+  }
+
+  /**
+   * Start observing the page for components and following Turbo
+   * navigations. Only the first call starts anything.
+   *
+   * @param {Object} [options] - Passed to configure first
+   * @returns {LiveCable}
+   */
+  start(options = {}) {
+    this.configure(options)
+
+    if (this.#started) {
+      return this
+    }
+
+    this.#started = true
+    this.#observer.start()
+
+    document.addEventListener('turbo:before-render', (event) => {
+      SubscriptionManager.prune(event.detail.newBody)
+    })
+
+    document.addEventListener('visibilitychange', () => {
+      SubscriptionManager.visibilityChanged(document.hidden)
+    })
+
+    document.addEventListener('turbo:load', () => {
+      DOM.mutate(document.documentElement)
+      this.#updateCacheControl()
+    })
+
+    return this
+  }
+
+  /**
+   * Whether start() has run.
+   * @returns {boolean}
+   */
+  get started() {
+    return this.#started
+  }
+
+  /**
+   * Whether LiveCable starts on import.
+   * @returns {boolean}
+   */
+  get autoStart() {
+    return this.#options.autoStart
+  }
+
+  /**
+   * The observer that prepares components added to the page.
+   * @returns {LiveObserver}
+   */
+  get observer() {
+    return this.#observer
+  }
+
+  /** @returns {boolean} */
+  get debug() {
+    return Debug.enabled
+  }
+
+  /** @param {boolean} value */
+  set debug(value) {
+    this.configure({ debug: value })
+  }
+
+  /** @returns {number} */
+  get latency() {
+    return Latency.delay
+  }
+
+  /** @param {number} value */
+  set latency(value) {
+    this.configure({ latency: value })
+  }
+
+  #validate(name, value) {
+    const type = LiveCable.OPTIONS[name]
+
+    if (!type) {
+      throw new Error(`LiveCable: unknown option "${name}"`)
+    }
+
+    if (name === 'suspendHiddenAfter' && (value === null || value === false)) {
+      return
+    }
+
+    if (typeof value !== type || value === null) {
+      throw new Error(`LiveCable: option "${name}" must be a ${type}`)
+    }
+
+    if (type === 'number' && !(value >= 0 && Number.isFinite(value))) {
+      throw new Error(`LiveCable: option "${name}" must be 0 or more`)
+    }
+
+    if (name === 'attributePrefix' && !Attributes.valid(value)) {
+      throw new Error('LiveCable: option "attributePrefix" must end with a dash, e.g. "data-live-"')
+    }
+
+    // The observer only watches the attribute names it started with
+    if (name === 'attributePrefix' && this.#started && value !== Attributes.prefix) {
+      throw new Error('LiveCable: option "attributePrefix" must be set before LiveCable starts')
+    }
+  }
+
+  #apply(name, value) {
+    switch (name) {
+      case 'morph':
+        Morph.use(value)
+        break
+      case 'consumer':
+        SubscriptionManager.configureConsumer(value)
+        break
+      case 'outboxTimeout':
+        SubscriptionManager.outboxTimeout = value
+        break
+      case 'suspendHiddenAfter':
+        SubscriptionManager.suspendHiddenAfter = value === false ? null : value
+        break
+      case 'debug':
+        Debug.enabled = value
+        break
+      case 'latency':
+        Latency.delay = value
+        break
+      case 'attributePrefix':
+        Attributes.prefix = value
+        break
+      default:
+        this.#options[name] = value
+
+        if (name === 'turboCacheControl' && this.#started) {
+          this.#updateCacheControl()
+        }
+    }
+  }
+
+  /**
+   * Ensure pages with live components are never stored in Turbo's page cache.
+   *
+   * Turbo's back/forward cache restores a snapshot of the page taken at
+   * navigate time. A restored snapshot would reconnect Stimulus controllers
+   * to subscriptions that were already closed server-side, causing a cold
+   * re-render that may fail. Preventing caching forces a fresh server fetch
+   * on back/forward, so components are always pre-rendered before their
+   * ActionCable subscription connects.
+   *
+   * If the developer has already set a turbo-cache-control meta tag (e.g.
+   * "no-store"), that value is left untouched so they can override this
+   * behaviour per-page. With the turboCacheControl option turned off, our
+   * tag is never added.
+   */
+  #updateCacheControl() {
+    // A meta tag without our marker was placed by the developer — leave it alone
+    const devMeta = document.querySelector('meta[name="turbo-cache-control"]:not([data-live-cable])')
+    if (devMeta) return
+
+    const ourMeta = document.querySelector('meta[name="turbo-cache-control"][data-live-cable]')
+    const hasLiveComponents = this.#options.turboCacheControl && !!document.querySelector('[data-controller~="live"]')
+
+    if (hasLiveComponents && !ourMeta) {
+      const meta = document.createElement('meta')
+      meta.name = 'turbo-cache-control'
+      meta.content = 'no-cache'
+      meta.dataset.liveCable = ''
+      document.head.appendChild(meta)
+    } else if (!hasLiveComponents && ourMeta) {
+      ourMeta.remove()
+    }
+  }
+}
+
+export default new LiveCable()
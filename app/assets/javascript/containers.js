@@ -0,0 +1,108 @@
+/**
+ * Append and prepend containers for LiveCable morphs.
+ *
+ * A container marked `live-update="append"` or `live-update="prepend"` keeps
+ * the children it already has, so the server only needs to render the items
+ * that are new or changed - a feed doesn't have to keep or resend its whole
+ * history. Each item the server renders is matched by its `live-key`:
+ *
+ * - an item already in the container is morphed in place
+ * - a new item is added at the end (append) or the start (prepend)
+ * - an item with `live-delete` removes the item with its key
+ *
+ * `live-update-limit="n"` trims the container to its newest n items,
+ * removing from the start when appending and from the end when prepending.
+ * `live-update="replace"` (or no attribute) morphs children as usual.
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Containers {
+  /** @type {Array<string>} - live-update modes that merge children */
+  static MODES = ['append', 'prepend']
+
+  /**
+   * Whether an element's children are merged rather than morphed.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  merges(element) {
+    return Containers.MODES.includes(element.getAttribute?.(Attributes.name('update')))
+  }
+
+  /**
+   * Merge the server's items into a container, and bring the container's own
+   * attributes up to date.
+   *
+   * @param {Element} fromEl - The container in the page
+   * @param {Element} toEl - The server's version, holding new or changed items
+   * @param {Object} callbacks
+   * @param {function(Element, Element)} callbacks.morph - Morphs an item in
+   *   the page into the server's version of it
+   * @param {function(Element)} callbacks.added - Called for each item added
+   * @param {function(Element)} callbacks.discard - Removes an item
+   */
+  merge(fromEl, toEl, { morph, added, discard }) {
+    const mode = toEl.getAttribute(Attributes.name('update'))
+    const items = new Map(
+      Array.from(fromEl.children)
+        .filter(item => item.hasAttribute(Attributes.name('key')))
+        .map(item => [item.getAttribute(Attributes.name('key')), item])
+    )
+
+    // New items keep the order the server rendered them in, ahead of the
+    // existing ones when prepending
+    const before = mode === 'prepend' ? fromEl.firstChild : null
+
+    Array.from(toEl.children).forEach(toItem => {
+      const key = toItem.getAttribute(Attributes.name('key'))
+      const item = key !== null ? items.get(key) : undefined
+
+      if (toItem.hasAttribute(Attributes.name('delete'))) {
+        if (item) {
+          items.delete(key)
+          discard(item)
+        }
+      } else if (item) {
+        morph(item, toItem)
+      } else {
+        fromEl.insertBefore(toItem, before)
+        added(toItem)
+      }
+    })
+
+    this.#syncAttributes(fromEl, toEl)
+    this.#trim(fromEl, mode, discard)
+  }
+
+  #syncAttributes(fromEl, toEl) {
+    Array.from(fromEl.attributes).forEach(({ name }) => {
+      if (!toEl.hasAttribute(name)) {
+        fromEl.removeAttribute(name)
+      }
+    })
+
+    Array.from(toEl.attributes).forEach(({ name, value }) => {
+      if (fromEl.getAttribute(name) !== value) {
+        fromEl.setAttribute(name, value)
+      }
+    })
+  }
+
+  #trim(container, mode, discard) {
+    const limit = parseInt(container.getAttribute(Attributes.name('update-limit')), 10)
+
+    if (Number.isNaN(limit)) {
+      return
+    }
+
+    const items = Array.from(container.children)
+    const excess = items.length - limit
+
+    if (excess > 0) {
+      const removed = mode === 'prepend' ? items.slice(limit) : items.slice(0, excess)
+      removed.forEach(item => discard(item))
+    }
+  }
+}
+
+export default new Containers()
@@ -1,6 +1,11 @@
 import { Controller } from "@hotwired/stimulus"
 import SubscriptionManager from "@isometriks/live_cable/subscriptions"
 import LoadingState from "@isometriks/live_cable/loading"
+import Hooks from "@isometriks/live_cable/hooks"
+import Commands from "@isometriks/live_cable/commands"
+import Uploads from "@isometriks/live_cable/uploads"
+import Scroll from "@isometriks/live_cable/scroll"
+import Lazy from "@isometriks/live_cable/lazy"
 
 export default class extends Controller {
   static values = {
@@ -9,50 +14,112 @@ export default class extends Controller {
     component: String,
     actions: Array,
     id: String,
+    lazy: String,
   }
 
   #subscription
+  #defaults
   #debounces = new Map()
+  #throttles = new Map()
+  // Fields of live-reactive forms and fieldsets changed since their last
+  // update, by container and name
+  #changedFields = new Map()
   #loading
 
+  // Upload chunks are answered one at a time, so each is its own message
+  // with its own loading state - never disabling the file input
+  #uploads = new Uploads((message, input) => {
+    this.#loading.start(input, { disable: false })
+    return this.#send({ messages: [message], _csrf_token: this.#csrfToken })
+  })
+
   #callActionCallback = (event) => {
     event.stopPropagation()
 
     const { action, params } = event.detail
 
-    this.sendCall(action, params, event.target)
+    // Handed back to the dispatcher (see liveCableAction in the blessing)
+    event.detail.promise = this.sendCall(action, params, event.target)
+  }
+
+  // Called by Stimulus once, when the controller is registered
+  static afterLoad(identifier, application) {
+    // live-action="click.outside->close" listens on the window; this drops
+    // the events that happened inside the element
+    application.registerActionOption("outside", ({ event, element, value }) => {
+      return !value || !element.contains(event.target)
+    })
   }
 
   connect() {
     this.#loading = new LoadingState(this.element)
     this.element.addEventListener("call", this.#callActionCallback)
 
-    this.#subscription = SubscriptionManager.subscribe(
-      this.idValue,
-      this.componentValue,
-      this.defaultsValue,
-      this
-    )
+    // Renders over the socket drop the defaults attribute, and a lazy
+    // component may subscribe again later
+    this.#defaults = this.defaultsValue
+
+    // live-lazy components subscribe once they scroll into view
+    if (this.hasLazyValue) {
+      Lazy.observe(this.element, Lazy.delay(this.lazyValue), {
+        enter: () => this.#subscribe(),
+        leave: () => this.#unsubscribe(),
+      })
+    } else {
+      this.#subscribe()
+    }
 
     // Create callbacks for each action or form
     this.actionsValue.forEach((action) => {
-      this[`action_$${action}`] = ({ params, currentTarget }) => {
-        this.sendCall(action, this.#convertKeysToSnakeCase(params), currentTarget)
+      this[`action_$${action}`] = ({ params: { throttle, json, ...params }, currentTarget }) => {
+        const actionParams = this.#actionParams(params, json)
+
+        const send = () => {
+          // A throttled message still waiting for its window to close
+          this.#clearDebounce(currentTarget)
+          this.sendCall(action, actionParams, currentTarget)
+        }
+
+        if (throttle) {
+          this.#throttle(currentTarget, throttle, send, this.#callMessage(actionParams, action))
+        } else {
+          send()
+        }
       }
 
       this[`form_$${action}`] = (event) => {
         this.#form(action, event)
       }
     })
+
+    Hooks.mountAll(this.element)
+    Scroll.start(this.element)
   }
 
   disconnect() {
+    Lazy.unobserve(this.element)
     this.element.removeEventListener("call", this.#callActionCallback)
+    Hooks.destroyAll(this.element)
+    this.#uploads.cancel()
+
+    // A debounced or throttled send firing later would subscribe this
+    // controller again, after it has detached
+    this.#debounces.forEach(({ timeout }) => clearTimeout(timeout))
+    this.#debounces.clear()
+    this.#throttles.forEach(({ timeout }) => clearTimeout(timeout))
+    this.#throttles.clear()
+    this.#changedFields.clear()
+
+    // The subscription closes once no element of the component is left
+    this.#subscription?.detach(this)
+    this.#subscription = null
   }
 
+  // Resolves once the server has answered with a refresh or ack, rejects if
+  // it answered with an error
   sendCall(action, params = {}, trigger = null) {
     this.#loading.start(trigger)
-    this.#subscription.send(
+    return this.#send(
       this.#flushDebounced(this.#callMessage(params, action))
     )
   }
@@ -69,18 +136,107 @@ export default class extends Controller {
     return this.#loading?.active ?? false
   }
 
+  // Number of messages awaiting a server response
+  get inFlight() {
+    return this.#loading?.inFlight ?? 0
+  }
+
   // Called by the subscription when the component is being torn down.
   resetLoading() {
     this.#loading?.reset()
   }
 
+  // Called by the subscription after a reconnect, when the server has
+  // rebuilt the component from its defaults. Collects what the user has
+  // entered into this component's live-reactive inputs and live-forms, so
+  // the server can restore it before its first render is shown.
+  recoveryMessage() {
+    const messages = []
+
+    // One message per name: a radio or checkbox group shares its value
+    const names = new Set()
+
+    this.#ownElements('[data-action*="live#reactive"]').flatMap((element) => {
+      return this.#isReactiveContainer(element) ? this.#reactiveFields(element) : [element]
+    }).forEach((input) => {
+      if (!names.has(input.name)) {
+        names.add(input.name)
+        messages.push(this.#reactiveMessage(input))
+      }
+    })
+
+    this.#ownElements('form[data-action*="live#form_$"]').forEach((form) => {
+      const [, action] = form.getAttribute('data-action').match(/live#form_\$([^:\s]+)/)
+      messages.push({ ...this.#pendingFormMessage(action, form), _action: '_recover', form: action })
+    })
+
+    return messages.length ? { messages, _csrf_token: this.#csrfToken } : null
+  }
+
+  // Subscribe unless already subscribed. Lazy components that haven't
+  // scrolled into view yet subscribe as soon as they send anything.
+  #subscribe() {
+    this.#subscription ??= SubscriptionManager.subscribe(
+      this.idValue,
+      this.componentValue,
+      this.#defaults,
+      this
+    )
+
+    return this.#subscription
+  }
+
+  // Messages are answered to the element that sent them, so only its
+  // loading state is finished when the component is shown more than once
+  #send(message) {
+    return this.#subscribe().send(message, this)
+  }
+
+  // A live-lazy component out of view for its delay. Unless it's shown
+  // elsewhere too, the server drops the component, so it starts over from
+  // its defaults when it comes back.
+  #unsubscribe() {
+    this.#subscription?.detach(this)
+    this.#subscription = null
+    this.resetLoading()
+    this.statusValue = "disconnected"
+  }
+
+  // Elements of this component, leaving out those of nested components
+  #ownElements(selector) {
+    return Array.from(this.element.querySelectorAll(selector))
+      .filter((element) => element.closest('[data-controller~="live"]') === this.element)
+  }
+
+  // Forms send their values as a query string; actions send an object, so
+  // numbers, booleans, arrays and nested objects reach the server as JSON
   #callMessage(params, action) {
     return {
       _action: action,
-      params: new URLSearchParams(params).toString(),
+      params,
     }
   }
 
+  // live-value-* params arrive as strings, the way form fields do, unless
+  // they were marked :json (listed in the json param). Stimulus has already
+  // parsed those. Only the params namespaced under "value" are the user's;
+  // the rest are settings such as throttle.
+  #actionParams(params, json = '') {
+    const typed = new Set(String(json).split(/\s+/).filter(Boolean).map(name => name.replace(/-/g, '_')))
+    const values = Object.fromEntries(
+      Object.entries(params)
+        .filter(([key]) => /^value[A-Z0-9]/.test(key))
+        .map(([key, value]) => [key.charAt(5).toLowerCase() + key.slice(6), value])
+    )
+
+    return Object.fromEntries(
+      Object.entries(this.#convertKeysToSnakeCase(values)).map(([key, value]) => [
+        key,
+        typed.has(key) ? value : String(value)
+      ])
+    )
+  }
+
   #convertKeysToSnakeCase(params) {
     return Object.fromEntries(
       Object.entries(params).map(([key, value]) => [
@@ -90,10 +246,22 @@ export default class extends Controller {
     )
   }
 
-  reactive({ target, params }) {
+  // Client-only commands from live-js; never reaches the server
+  js(event) {
+    Commands.run(event.currentTarget, event)
+  }
+
+  reactive({ target, currentTarget, params }) {
     const debounce = params?.debounce
+    const throttle = params?.throttle
 
-    if (debounce) {
+    if (this.#isReactiveContainer(currentTarget)) {
+      this.#reactiveField(currentTarget, target, { debounce, throttle })
+    } else if (throttle) {
+      this.#throttle(target, throttle, () => {
+        this.sendReactive(target)
+      }, this.#reactiveMessage(target))
+    } else if (debounce) {
       this.#setDebounce(target, debounce, () => {
         this.sendReactive(target)
       }, this.#reactiveMessage(target))
@@ -106,47 +274,169 @@ export default class extends Controller {
     this.#clearDebounce(target)
     // Never disable reactive inputs while in flight - it would drop focus
     this.#loading.start(target, { disable: false })
-    this.#subscription.send(
+    return this.#send(
       this.#flushDebounced(this.#reactiveMessage(target))
     )
   }
 
+  // Send the changed fields of a live-reactive form or fieldset, one
+  // _reactive message each, in a single batch
+  sendReactiveFields(container) {
+    this.#clearDebounce(container)
+
+    const messages = this.#fieldMessages(container)
+    if (messages.length === 0) {
+      return Promise.resolve()
+    }
+
+    this.#loading.start(container, { disable: false })
+    return this.#send(this.#flushDebounced(messages))
+  }
+
+  // live-reactive on a form or fieldset binds every named field inside it.
+  // Fields are collected as they change, and sent together once the
+  // container's live-debounce or live-throttle allows.
+  #reactiveField(container, field, { debounce, throttle }) {
+    if (!this.#reactiveFields(container).includes(field)) {
+      return
+    }
+
+    const fields = this.#changedFields.get(container) ?? new Map()
+    fields.set(field.name, field)
+    this.#changedFields.set(container, fields)
+
+    const send = () => {
+      this.sendReactiveFields(container)
+    }
+
+    if (throttle) {
+      this.#throttle(container, throttle, send, this.#fieldMessages(container))
+    } else if (debounce) {
+      this.#setDebounce(container, debounce, send, this.#fieldMessages(container))
+    } else {
+      send()
+    }
+  }
+
+  #fieldMessages(container) {
+    const fields = this.#changedFields.get(container)?.values() ?? []
+    return Array.from(fields, (field) => this.#reactiveMessage(field))
+  }
+
+  #isReactiveContainer(element) {
+    return element?.matches?.('form, fieldset') ?? false
+  }
+
+  // Named fields of a live-reactive container, leaving out buttons, file
+  // inputs, fields with a live-reactive of their own and nested components
+  #reactiveFields(container) {
+    return Array.from(container.elements).filter((field) => {
+      return field.name &&
+        !['submit', 'button', 'reset', 'image', 'file'].includes(field.type) &&
+        !field.matches('[data-action*="live#reactive"]') &&
+        field.closest('[data-controller~="live"]') === this.element
+    })
+  }
+
   #reactiveMessage(target) {
     return {
       _action: '_reactive',
       name: target.name,
-      value: target.value,
+      value: this.#reactiveValue(target),
     }
   }
 
-  #form(action, { currentTarget, params }) {
-    const debounce = params.debounce
+  // Checkboxes send whether they're checked, or the values of the checked
+  // ones when several share a name. Radios send the checked value of their
+  // group, multi-selects every selected value, and number and range inputs
+  // a number (null when empty).
+  #reactiveValue(target) {
+    switch (target.type) {
+      case 'checkbox': {
+        const group = this.#group(target)
+        return group.length > 1 ? group.filter(input => input.checked).map(input => input.value) : target.checked
+      }
+      case 'radio':
+        return this.#group(target).find(input => input.checked)?.value ?? null
+      case 'select-multiple':
+        return Array.from(target.selectedOptions, option => option.value)
+      case 'number':
+      case 'range':
+        return target.value === '' ? null : Number(target.value)
+      default:
+        return target.value
+    }
+  }
 
-    if (debounce) {
-      const formData = new FormData(currentTarget)
-      const formParams = new URLSearchParams(formData).toString()
+  // Inputs of the same type and name in this component
+  #group(target) {
+    return this.#ownElements(`input[type="${target.type}"]`).filter(input => input.name === target.name)
+  }
 
+  #form(action, { currentTarget, params }) {
+    const { debounce, throttle } = params
+
+    if (throttle) {
+      this.#throttle(currentTarget, throttle, () => {
+        this.sendForm(action, currentTarget)
+      }, this.#pendingFormMessage(action, currentTarget))
+    } else if (debounce) {
       this.#setDebounce(currentTarget, debounce, () => {
         this.sendForm(action, currentTarget)
-      }, this.#callMessage(formParams, action))
+      }, this.#pendingFormMessage(action, currentTarget))
     } else {
       this.sendForm(action, currentTarget)
     }
   }
 
+  #pendingFormMessage(action, formEl) {
+    // Files are only sent when the form itself is submitted, not when the
+    // pending message rides along with another one
+    const formData = new FormData(formEl)
+    Uploads.extract(formData)
+
+    return this.#callMessage(new URLSearchParams(formData).toString(), action)
+  }
+
   sendForm(action, formEl) {
     this.#clearDebounce(formEl)
 
     // Serialize before starting the loading state - disabled controls
     // (live-disable-with) are excluded from FormData
     const formData = new FormData(formEl)
+    const files = Uploads.extract(formData)
     const params = new URLSearchParams(formData).toString()
 
     this.#loading.start(formEl)
 
-    this.#subscription.send(
-      this.#flushDebounced(this.#callMessage(params, action))
+    if (files.length === 0) {
+      return this.#send(
+        this.#flushDebounced(this.#callMessage(params, action))
+      )
+    }
+
+    // Send the files first; the form message then refers to them by ref
+    const promise = this.#uploads.upload(formEl, files).then(
+      (uploads) => this.#send(
+        this.#flushDebounced({ ...this.#callMessage(params, action), uploads })
+      ),
+      (error) => {
+        this.finishLoading()
+        throw error
+      }
     )
+
+    // Form submissions don't wait for the promise; canceled and failed
+    // uploads aren't reported as unhandled
+    promise.catch(() => {})
+
+    return promise
+  }
+
+  // Stop the files of live-form submissions that are still uploading, e.g.
+  // from a button with data-action="live#cancelUploads"
+  cancelUploads() {
+    this.#uploads.cancel()
   }
 
   #setDebounce(source, delay, callback, message) {
@@ -158,6 +448,47 @@ export default class extends Controller {
     this.#debounces.set(source, { timeout, message })
   }
 
+  // Send at most one message per window for a source. With the default
+  // "ms" both edges fire: the first event is sent straight away and the
+  // last one when the window closes. "ms leading" drops the trailing send,
+  // "ms trailing" delays the first. A pending trailing message is kept with
+  // the debounced ones, so #flushDebounced sends it ahead of other actions.
+  #throttle(source, option, send, message) {
+    const [wait, edge] = String(option).trim().split(/\s+/)
+    const leading = edge !== 'trailing'
+    const trailing = edge !== 'leading'
+    const throttle = this.#throttles.get(source)
+
+    if (throttle) {
+      if (trailing) {
+        throttle.send = send
+        this.#debounces.set(source, { timeout: null, message })
+      }
+    } else if (leading) {
+      send()
+      this.#openThrottle(source, Number(wait))
+    } else {
+      this.#debounces.set(source, { timeout: null, message })
+      this.#openThrottle(source, Number(wait), send)
+    }
+  }
+
+  #openThrottle(source, wait, send = null) {
+    const throttle = { send }
+
+    throttle.timeout = setTimeout(() => {
+      this.#throttles.delete(source)
+
+      // Unless another message has flushed it already
+      if (throttle.send && this.#debounces.has(source)) {
+        throttle.send()
+        this.#openThrottle(source, wait)
+      }
+    }, wait)
+
+    this.#throttles.set(source, throttle)
+  }
+
   #clearDebounce(source) {
     const debounce = this.#debounces.get(source)
     if (debounce) {
@@ -167,14 +498,16 @@ export default class extends Controller {
   }
 
   #flushDebounced(message) {
-    const messages = [message]
+    // Reactive forms and fieldsets send several messages at once
+    const messages = [message].flat()
 
     // Add all pending debounced messages to be sent immediately
     for (const [source, { timeout, message: debouncedMessage }] of this.#debounces) {
       clearTimeout(timeout)
-      messages.unshift(debouncedMessage)
+      messages.unshift(...[debouncedMessage].flat())
     }
     this.#debounces.clear()
+    this.#changedFields.clear()
 
     return { messages, _csrf_token: this.#csrfToken }
   }
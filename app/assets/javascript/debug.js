@@ -0,0 +1,69 @@
+/**
+ * Debug logging for LiveCable.
+ *
+ * When enabled, every component logs what it sends and receives, how many
+ * parts each render changed, how long the morph took and how many of its
+ * messages are still awaiting a response. Enable it from the console:
+ *
+ *     LiveCable.debug = true
+ *
+ * or for every page load with a meta tag:
+ *
+ *     <meta name="live-cable-debug" content="true">
+ *
+ * The meta tag is read once, the first time it's needed.
+ */
+class Debug {
+  /** @type {boolean|null} - Set from code, overriding the meta tag */
+  #enabled = null
+  /** @type {boolean|null} - From the meta tag, read on first use */
+  #meta = null
+
+  /**
+   * Whether messages are logged.
+   * @returns {boolean}
+   */
+  get enabled() {
+    if (this.#enabled !== null) {
+      return this.#enabled
+    }
+
+    // Checked before every message sent and received
+    if (this.#meta === null) {
+      const meta = document.querySelector('meta[name="live-cable-debug"]')
+      this.#meta = Boolean(meta) && meta.content !== 'false'
+    }
+
+    return this.#meta
+  }
+
+  /**
+   * Turn logging on or off. null goes back to the meta tag, reading it
+   * again.
+   * @param {boolean|null} value
+   */
+  set enabled(value) {
+    this.#enabled = value === null ? null : Boolean(value)
+
+    if (value === null) {
+      this.#meta = null
+    }
+  }
+
+  /**
+   * Log a line for a component.
+   *
+   * @param {string} liveId - The component, e.g. "chat/chat_room/room-1"
+   * @param {string} message
+   * @param {...*} details - Logged as they are, so they can be inspected
+   */
+  log(liveId, message, ...details) {
+    if (!this.enabled) {
+      return
+    }
+
+    console.debug(`%c[LiveCable]%c ${liveId} ${message}`, 'color: #7c3aed; font-weight: bold', '', ...details)
+  }
+}
+
+export default new Debug()
@@ -4,18 +4,34 @@
  * Converts live-* HTML attributes into Stimulus data-* attributes at runtime.
  * This allows for a cleaner HTML syntax while maintaining full Stimulus compatibility.
  */
+import Attributes from "@isometriks/live_cable/attributes"
+
 class DOM {
-  // All live-* attributes that trigger DOM processing
+  // All live-* attributes that trigger DOM processing, without the prefix
   static LIVE_ATTRIBUTES = [
-    'live-id',
-    'live-component',
-    'live-defaults',
-    'live-actions',
-    'live-form',
-    'live-action',
-    'live-reactive'
+    'id',
+    'component',
+    'defaults',
+    'actions',
+    'lazy',
+    'form',
+    'action',
+    'reactive',
+    'js'
   ]
 
+  // Key names accepted in event modifiers besides Stimulus' own (enter, esc,
+  // up, page_up, ...), mapped to the Stimulus name
+  static KEY_ALIASES = {
+    escape: 'esc',
+    arrowup: 'up',
+    arrowdown: 'down',
+    arrowleft: 'left',
+    arrowright: 'right',
+    pageup: 'page_up',
+    pagedown: 'page_down',
+  }
+
   /**
    * Transforms all live-* attributes on an element and its descendants
    * @param {HTMLElement} element - The root element to process
@@ -26,7 +42,7 @@ class DOM {
     }
 
     // Build selector for all live-* attributes we care about
-    const selector = DOM.LIVE_ATTRIBUTES.map(attr => `[${attr}]`).join(', ')
+    const selector = DOM.LIVE_ATTRIBUTES.map(attr => Attributes.selector(attr)).join(', ')
 
     // Get all elements with live-* attributes (including the root element if it matches)
     const liveElements = []
@@ -44,42 +60,52 @@ class DOM {
 
       // Process live-id last so all other attributes are converted before
       // the Stimulus controller is attached
-      if (el.hasAttribute('live-id')) {
+      if (el.hasAttribute(Attributes.name('id'))) {
         this.#replaceLiveId(el)
       }
     })
   }
 
   #processMetadataAttributes(element) {
-    if (element.hasAttribute('live-component')) {
-      this.#replaceAttribute(element, 'live-component', 'data-live-component-value')
+    if (element.hasAttribute(Attributes.name('component'))) {
+      this.#replaceAttribute(element, Attributes.name('component'), 'data-live-component-value')
+    }
+    if (element.hasAttribute(Attributes.name('defaults'))) {
+      this.#replaceAttribute(element, Attributes.name('defaults'), 'data-live-defaults-value')
     }
-    if (element.hasAttribute('live-defaults')) {
-      this.#replaceAttribute(element, 'live-defaults', 'data-live-defaults-value')
+    if (element.hasAttribute(Attributes.name('actions'))) {
+      this.#replaceAttribute(element, Attributes.name('actions'), 'data-live-actions-value')
     }
-    if (element.hasAttribute('live-actions')) {
-      this.#replaceAttribute(element, 'live-actions', 'data-live-actions-value')
+    if (element.hasAttribute(Attributes.name('lazy'))) {
+      this.#replaceAttribute(element, Attributes.name('lazy'), 'data-live-lazy-value')
     }
   }
 
   #processInteractiveAttributes(element) {
-    // Note: convertValues and convertDebounce are called for each type as needed
-    if (element.hasAttribute('live-form')) {
+    // Note: convertValues, convertDebounce and convertThrottle are called for each type as needed
+    if (element.hasAttribute(Attributes.name('form'))) {
       this.#convertValues(element)
       this.#convertDebounce(element)
-      this.#addActions(element, 'form', 'live-form', ':prevent')
+      this.#convertThrottle(element)
+      this.#addActions(element, 'form', Attributes.name('form'), ':prevent')
     }
 
-    if (element.hasAttribute('live-action')) {
+    if (element.hasAttribute(Attributes.name('action'))) {
       this.#convertValues(element)
       this.#convertDebounce(element)
-      this.#addActions(element, 'action', 'live-action')
+      this.#convertThrottle(element)
+      this.#addActions(element, 'action', Attributes.name('action'))
     }
 
-    if (element.hasAttribute('live-reactive')) {
+    if (element.hasAttribute(Attributes.name('reactive'))) {
       this.#convertDebounce(element)
+      this.#convertThrottle(element)
       this.#convertReactive(element)
     }
+
+    if (element.hasAttribute(Attributes.name('js'))) {
+      this.#convertJs(element)
+    }
   }
 
   #replaceAttribute(element, oldAttr, newAttr) {
@@ -97,41 +123,91 @@ class DOM {
     const actions = attributeValue.trim().split(/\s+/).map(actionString => {
       const parts = actionString.split(/->/)
       const [event, action] = parts.length === 2 ? parts : [null, parts[0]]
-      const stimulusEvent = event ? `${event}->` : ''
+      const { descriptor, outside } = this.#eventDescriptor(event)
+      const stimulusEvent = descriptor ? `${descriptor}->` : ''
+      const options = outside ? ':outside' : ''
 
-      return `${stimulusEvent}live#${type}_$${action}${eventModifier}`
+      // Action options such as :once or :stop are passed through as written
+      return `${stimulusEvent}live#${type}_$${action}${options}${eventModifier}`
     })
 
     element.removeAttribute(attribute)
     this.#appendToAttribute(element, 'data-action', actions.join(' '))
   }
 
+  /**
+   * Translate an event with dot modifiers into a Stimulus event descriptor:
+   * "keydown.ctrl.s" becomes the key filter "keydown.ctrl+s", and
+   * "click.outside" listens on the window, leaving the controller's
+   * :outside action option to drop clicks inside the element.
+   *
+   * @param {string|null} event - e.g. "keydown.escape" or "click.outside"
+   * @returns {{descriptor: string|null, outside: boolean}}
+   */
+  #eventDescriptor(event) {
+    if (!event) {
+      return { descriptor: null, outside: false }
+    }
+
+    const [, name, target = ''] = event.match(/^([^@]*)(@.+)?$/)
+    const [eventName, ...modifiers] = name.split('.')
+    const outside = modifiers.includes('outside')
+    const keys = modifiers
+      .filter(modifier => modifier !== 'outside')
+      .map(modifier => DOM.KEY_ALIASES[modifier.toLowerCase()] ?? modifier)
+
+    const filter = keys.length ? `.${keys.join('+')}` : ''
+    const listenOn = outside && !target ? '@window' : target
+
+    return { descriptor: `${eventName}${filter}${listenOn}`, outside }
+  }
+
   #convertValues(element) {
+    const prefix = Attributes.name('value-')
+
     // Get all attributes that start with 'live-value-'
     Array.from(element.attributes).forEach(attr => {
-      if (attr.name.startsWith('live-value-')) {
-        const paramName = attr.name.substring('live-value-'.length)
+      if (attr.name.startsWith(prefix)) {
+        let paramName = attr.name.substring(prefix.length)
         element.removeAttribute(attr.name)
-        element.setAttribute(`data-live-${paramName}-param`, attr.value)
+
+        // live-value-filters:json='{"tags": ["a"]}' keeps its JSON types
+        // instead of arriving as a string
+        if (paramName.endsWith(':json')) {
+          paramName = paramName.slice(0, -':json'.length)
+          this.#appendToAttribute(element, 'data-live-json-param', paramName)
+        }
+
+        // Namespaced under "value", so a param can't take the place of
+        // live-debounce, live-throttle or the :json list
+        element.setAttribute(`data-live-value-${paramName}-param`, attr.value)
       }
     })
   }
 
   #convertDebounce(element) {
-    if (element.hasAttribute('live-debounce')) {
-      const value = element.getAttribute('live-debounce')
-      element.removeAttribute('live-debounce')
+    if (element.hasAttribute(Attributes.name('debounce'))) {
+      const value = element.getAttribute(Attributes.name('debounce'))
+      element.removeAttribute(Attributes.name('debounce'))
       element.setAttribute('data-live-debounce-param', value)
     }
   }
 
+  #convertThrottle(element) {
+    if (element.hasAttribute(Attributes.name('throttle'))) {
+      this.#replaceAttribute(element, Attributes.name('throttle'), 'data-live-throttle-param')
+    }
+  }
+
   #convertReactive(element) {
-    const value = element.getAttribute('live-reactive')
-    element.removeAttribute('live-reactive')
+    const value = element.getAttribute(Attributes.name('reactive'))
+    element.removeAttribute(Attributes.name('reactive'))
 
     if (!value || value.trim() === '') {
-      // No events specified, use default Stimulus event
-      this.#appendToAttribute(element, 'data-action', 'live#reactive')
+      // No events specified, use default Stimulus event. Forms and fieldsets
+      // have none, so they listen for input events bubbling from their fields
+      const action = ['FORM', 'FIELDSET'].includes(element.tagName) ? 'input->live#reactive' : 'live#reactive'
+      this.#appendToAttribute(element, 'data-action', action)
     } else {
       // Multiple events specified, convert each to event->live#reactive
       const actions = value.trim().split(/\s+/).map(event => `${event}->live#reactive`)
@@ -139,8 +215,30 @@ class DOM {
     }
   }
 
+  #convertJs(element) {
+    const value = element.getAttribute(Attributes.name('js'))
+    element.removeAttribute(Attributes.name('js'))
+
+    if (!value || value.trim() === '') return
+
+    // The commands themselves are read by the controller when an event fires.
+    // Not data-live-js, which is the source attribute with a data-live- prefix
+    element.setAttribute('data-live-commands', value)
+
+    // One live#js handler per distinct event, with the same key filters and
+    // click.outside handling as live-action
+    const actions = new Set(value.trim().split(/\s+/).map(commandString => {
+      const parts = commandString.split(/->/)
+      const { descriptor, outside } = this.#eventDescriptor(parts.length === 2 ? parts[0] : null)
+
+      return `${descriptor ? `${descriptor}->` : ''}live#js${outside ? ':outside' : ''}`
+    }))
+
+    this.#appendToAttribute(element, 'data-action', Array.from(actions).join(' '))
+  }
+
   #replaceLiveId(element) {
-    this.#replaceAttribute(element, 'live-id', 'data-live-id-value')
+    this.#replaceAttribute(element, Attributes.name('id'), 'data-live-id-value')
     this.#appendToAttribute(element, 'data-controller', 'live')
   }
 
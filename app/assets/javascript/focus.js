@@ -0,0 +1,142 @@
+/**
+ * Focus preservation for LiveCable morphs.
+ *
+ * A re-render must not fight the user over the field they are typing into.
+ * While a form field has focus, a morph keeps its current value instead of
+ * the server's, and afterwards its focus, caret, selection and scroll
+ * offsets are put back if the morph disturbed them.
+ *
+ * - `live-force` on the server's version of the field lets the server's
+ *   value win (e.g. to clear a chat box once its message was sent)
+ * - `live-no-preserve` on the field or an ancestor opts out entirely
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Focus {
+  /** @type {Array<string>} - Input types whose value isn't typed in */
+  static SKIPPED_TYPES = ['checkbox', 'radio', 'file', 'submit', 'button', 'reset', 'image', 'hidden']
+
+  /**
+   * Record the focused field inside a root, before it is morphed.
+   *
+   * @param {Element} root
+   * @returns {Object|null} State for restore, or null when no field inside
+   *   the root has focus
+   */
+  capture(root) {
+    const element = document.activeElement
+
+    if (!this.#preservable(element) || !root.contains(element)) {
+      return null
+    }
+
+    return {
+      element,
+      id: element.id,
+      name: element.name,
+      selectionStart: element.selectionStart,
+      selectionEnd: element.selectionEnd,
+      selectionDirection: element.selectionDirection,
+      scrollTop: element.scrollTop,
+      scrollLeft: element.scrollLeft,
+    }
+  }
+
+  /**
+   * Keep the focused field's value when it is about to be morphed.
+   *
+   * @param {Element} fromEl - The element in the page
+   * @param {Element} toEl - The server's version of it
+   */
+  preserve(fromEl, toEl) {
+    if (fromEl !== document.activeElement || !this.#preservable(fromEl) || toEl.hasAttribute(Attributes.name('force'))) {
+      return
+    }
+
+    if (fromEl.tagName === 'SELECT') {
+      this.#preserveOptions(fromEl, toEl)
+      return
+    }
+
+    // morphdom only writes the value when it differs
+    toEl.value = fromEl.value
+
+    // idiomorph reads an input's value attribute, clearing the field when
+    // the server's version has none
+    if (fromEl.tagName === 'INPUT') {
+      toEl.setAttribute('value', fromEl.value)
+    }
+  }
+
+  /**
+   * Put focus, caret, selection and scroll offsets back after a morph. If
+   * the field was replaced, its replacement is found by id or name.
+   *
+   * @param {Object|null} state - As returned by capture
+   * @param {Element} root - The root that was morphed
+   */
+  restore(state, root) {
+    if (!state) {
+      return
+    }
+
+    const element = state.element.isConnected ? state.element : this.#replacement(state, root)
+
+    if (!element) {
+      return
+    }
+
+    if (document.activeElement !== element) {
+      element.focus({ preventScroll: true })
+    }
+
+    try {
+      element.setSelectionRange(state.selectionStart, state.selectionEnd, state.selectionDirection ?? 'none')
+    } catch {
+      // Only text-like inputs have a selection (not number, email, date...)
+    }
+
+    element.scrollTop = state.scrollTop
+    element.scrollLeft = state.scrollLeft
+  }
+
+  #preservable(element) {
+    if (!element || element.closest?.(Attributes.selector('no-preserve'))) {
+      return false
+    }
+
+    switch (element.tagName) {
+      case 'TEXTAREA':
+      case 'SELECT':
+        return true
+      case 'INPUT':
+        return !Focus.SKIPPED_TYPES.includes(element.type)
+      default:
+        return false
+    }
+  }
+
+  // morphdom selects options by their selected attribute, not the select's
+  // value, so carry over every option's state (several for multiple)
+  #preserveOptions(fromEl, toEl) {
+    const selected = new Set(Array.from(fromEl.selectedOptions, (option) => option.value))
+
+    for (const option of toEl.options) {
+      option.toggleAttribute('selected', selected.has(option.value))
+    }
+  }
+
+  #replacement({ id, name }, root) {
+    if (id) {
+      return root.querySelector(`#${CSS.escape(id)}`)
+    }
+
+    if (name) {
+      return root.querySelector(`[name="${CSS.escape(name)}"]`)
+    }
+
+    return null
+  }
+}
+
+export default new Focus()
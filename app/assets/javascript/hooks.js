@@ -0,0 +1,153 @@
+/**
+ * Client-side lifecycle hooks for elements inside live components.
+ *
+ * A hook is a plain object registered under a name. Elements marked with
+ * `live-hook="name"` get their own instance of it, whose callbacks are
+ * invoked as the element moves through its life in the DOM:
+ *
+ * - `mounted()` - the element was added to the page, either when its
+ *   component connected or when a morph inserted it
+ * - `beforeUpdate()` - a morph is about to change the element
+ * - `updated()` - a morph changed the element (called once the whole
+ *   component has been morphed)
+ * - `destroyed()` - the element was removed by a morph, or its component
+ *   disconnected
+ *
+ * Inside the callbacks `this.el` is the element, and
+ * `this.pushAction(action, params)` calls an action on the nearest live
+ * component, returning the same Promise as `liveCableAction`.
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Hooks {
+  /** @type {Object.<string, Object>} - Hook definitions by name */
+  #definitions = {}
+  /** @type {WeakMap<Element, Object>} - Mounted hook instance per element */
+  #instances = new WeakMap()
+
+  /**
+   * Register a hook. Elements already in the page that use it are mounted
+   * straight away.
+   *
+   * @param {string} name - Name referenced by `live-hook` attributes
+   * @param {Object} definition - Object with any of the lifecycle callbacks
+   */
+  register(name, definition) {
+    this.#definitions[name] = definition
+    this.mountAll(document.documentElement)
+  }
+
+  /**
+   * Mount a single element if it has a registered hook and isn't mounted yet.
+   * @param {Node} element
+   */
+  mount(element) {
+    if (!element.isConnected || this.#instances.has(element)) {
+      return
+    }
+
+    const definition = this.#definitionFor(element)
+
+    if (definition) {
+      const instance = this.#build(element, definition)
+      this.#instances.set(element, instance)
+      instance.mounted?.()
+    }
+  }
+
+  /**
+   * Mount an element and all of its hooked descendants.
+   * @param {Element} root
+   */
+  mountAll(root) {
+    this.#hookedElements(root).forEach(element => this.mount(element))
+  }
+
+  /**
+   * Notify a mounted element that a morph is about to change it.
+   *
+   * @param {Element} element - The element in the page
+   * @param {Element} toElement - What the morph will turn it into
+   * @returns {boolean} true when a hook was notified and should be told
+   *   when the update has been applied
+   */
+  beforeUpdate(element, toElement) {
+    const instance = this.#instances.get(element)
+
+    if (!instance || element.isEqualNode(toElement)) {
+      return false
+    }
+
+    instance.beforeUpdate?.()
+    return true
+  }
+
+  /**
+   * Notify a mounted element that a morph changed it.
+   * @param {Element} element
+   */
+  updated(element) {
+    this.#instances.get(element)?.updated?.()
+  }
+
+  /**
+   * Destroy a single element's hook instance.
+   * @param {Node} element
+   */
+  destroy(element) {
+    const instance = this.#instances.get(element)
+
+    if (instance) {
+      this.#instances.delete(element)
+      instance.destroyed?.()
+    }
+  }
+
+  /**
+   * Destroy the hook instances of an element and all of its descendants.
+   * @param {Element} root
+   */
+  destroyAll(root) {
+    this.#hookedElements(root).forEach(element => this.destroy(element))
+  }
+
+  #definitionFor(element) {
+    const name = element.getAttribute?.(Attributes.name('hook'))
+    return name ? this.#definitions[name] : undefined
+  }
+
+  #hookedElements(root) {
+    if (!root?.querySelectorAll) {
+      return []
+    }
+
+    const elements = root.matches(Attributes.selector('hook')) ? [root] : []
+    elements.push(...root.querySelectorAll(Attributes.selector('hook')))
+
+    return elements
+  }
+
+  #build(element, definition) {
+    const instance = Object.create(definition)
+
+    instance.el = element
+    instance.pushAction = (action, params = {}) => {
+      // The same event liveCableAction dispatches; the live controller
+      // hands its promise back on the detail
+      const event = new CustomEvent('call', {
+        detail: { action, params },
+        bubbles: true,
+        cancelable: true,
+      })
+      element.dispatchEvent(event)
+
+      return event.detail.promise ?? Promise.reject(
+        new Error(`LiveCable: "${action}" was not pushed from inside a live component`)
+      )
+    }
+
+    return instance
+  }
+}
+
+export default new Hooks()
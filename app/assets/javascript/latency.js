@@ -0,0 +1,72 @@
+/**
+ * Latency simulation for local development.
+ *
+ * Round trips to a local server are instant, so loading states and race
+ * conditions rarely show up before production. With a latency set, every
+ * message a component sends, and every payload it receives, is delayed by
+ * that many milliseconds. Set it from the console:
+ *
+ *     LiveCable.latency = 500
+ *     LiveCable.latency = 0 // off
+ *
+ * The setting is kept in sessionStorage, so it survives reloads until the
+ * tab is closed.
+ */
+class Latency {
+  /** @type {string} */
+  static STORAGE_KEY = 'live-cable-latency'
+
+  /** @type {number|null} - Read from sessionStorage on first use */
+  #delay = null
+
+  /**
+   * Milliseconds added to each send and receive.
+   * @returns {number}
+   */
+  get delay() {
+    if (this.#delay === null) {
+      this.#delay = Number(this.#storage?.getItem(Latency.STORAGE_KEY)) || 0
+    }
+
+    return this.#delay
+  }
+
+  /**
+   * @param {number} value - Milliseconds; 0 turns the simulation off
+   */
+  set delay(value) {
+    this.#delay = Math.max(Number(value) || 0, 0)
+
+    if (this.#delay > 0) {
+      this.#storage?.setItem(Latency.STORAGE_KEY, String(this.#delay))
+    } else {
+      this.#storage?.removeItem(Latency.STORAGE_KEY)
+    }
+  }
+
+  /**
+   * Run a callback after the simulated latency, or right away when there
+   * is none. While the latency stays the same, callbacks run in the order
+   * they were given.
+   *
+   * @param {Function} callback
+   */
+  run(callback) {
+    if (this.delay > 0) {
+      setTimeout(callback, this.delay)
+    } else {
+      callback()
+    }
+  }
+
+  get #storage() {
+    try {
+      return window.sessionStorage
+    } catch {
+      // Storage can be blocked, e.g. by privacy settings
+      return null
+    }
+  }
+}
+
+export default new Latency()
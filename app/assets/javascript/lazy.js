@@ -0,0 +1,93 @@
+/**
+ * Lazy subscriptions for LiveCable components.
+ *
+ * A component whose root element has a `live-lazy` attribute only subscribes
+ * to its channel once it scrolls into view, so a long page of components
+ * doesn't open every subscription on load. With a value, it also
+ * unsubscribes after being out of view for that many milliseconds, and
+ * subscribes again when it comes back:
+ *
+ *     <div live-lazy>...</div>          <!-- subscribe when visible -->
+ *     <div live-lazy="30000">...</div>  <!-- ...and unsubscribe 30s after leaving -->
+ *
+ * Browsers without IntersectionObserver subscribe right away.
+ */
+class Lazy {
+  /** @type {IntersectionObserver|null} - Shared by every lazy element, created on first use */
+  #observer = null
+  /** @type {WeakMap<Element, Object>} - Callbacks, delay and leave timer by element */
+  #elements = new WeakMap()
+
+  /**
+   * Watch an element, calling enter each time it comes into view and, with
+   * a delay, leave once it has been out of view that long.
+   *
+   * @param {Element} element
+   * @param {number|null} delay - Milliseconds out of view before leave is
+   *   called; null to never call it
+   * @param {Object} callbacks
+   * @param {Function} callbacks.enter
+   * @param {Function} [callbacks.leave]
+   */
+  observe(element, delay, { enter, leave }) {
+    if (typeof IntersectionObserver === 'undefined') {
+      enter()
+      return
+    }
+
+    this.unobserve(element)
+    this.#elements.set(element, { delay, enter, leave, timeout: null })
+    this.#intersectionObserver.observe(element)
+  }
+
+  /**
+   * Stop watching an element, cancelling a pending leave.
+   * @param {Element} element
+   */
+  unobserve(element) {
+    const entry = this.#elements.get(element)
+
+    if (entry) {
+      clearTimeout(entry.timeout)
+      this.#elements.delete(element)
+      this.#observer.unobserve(element)
+    }
+  }
+
+  /**
+   * Parse a `live-lazy` value into the leave delay.
+   *
+   * @param {string} value - "" or a number of milliseconds
+   * @returns {number|null}
+   */
+  delay(value) {
+    const delay = Number.parseInt(value, 10)
+    return Number.isFinite(delay) && delay >= 0 ? delay : null
+  }
+
+  get #intersectionObserver() {
+    this.#observer ??= new IntersectionObserver((entries) => {
+      entries.forEach(({ target, isIntersecting }) => this.#intersect(target, isIntersecting))
+    })
+
+    return this.#observer
+  }
+
+  #intersect(element, visible) {
+    const entry = this.#elements.get(element)
+    if (!entry) {
+      return
+    }
+
+    clearTimeout(entry.timeout)
+    entry.timeout = null
+
+    if (visible) {
+      entry.enter()
+    } else if (entry.delay !== null && entry.leave) {
+      entry.timeout = setTimeout(entry.leave, entry.delay)
+    }
+  }
+}
+
+export default new Lazy()
@@ -1,50 +1,24 @@
-import LiveObserver from '@isometriks/live_cable/observer'
-import SubscriptionManager from '@isometriks/live_cable/subscriptions'
-import DOM from '@isometriks/live_cable/dom'
-
-const observer = new LiveObserver()
-observer.start()
-
-document.addEventListener('turbo:before-render', (event) => {
-  SubscriptionManager.prune(event.detail.newBody)
-})
-
-document.addEventListener('turbo:load', () => {
-  DOM.mutate(document.documentElement)
-  updateCacheControl()
-})
+import LiveCable from '@isometriks/live_cable/config'
+import Latency from '@isometriks/live_cable/latency'
 
 /**
- * Ensure pages with live components are never stored in Turbo's page cache.
- *
- * Turbo's back/forward cache restores a snapshot of the page taken at
- * navigate time. A restored snapshot would reconnect Stimulus controllers
- * to subscriptions that were already closed server-side, causing a cold
- * re-render that may fail. Preventing caching forces a fresh server fetch
- * on back/forward, so components are always pre-rendered before their
- * ActionCable subscription connects.
- *
- * If the developer has already set a turbo-cache-control meta tag (e.g.
- * "no-store"), that value is left untouched so they can override this
- * behaviour per-page.
+ * Global handle for configuring LiveCable and working with it from the
+ * browser console, e.g. `LiveCable.debug = true` to log every message, or
+ * `LiveCable.latency = 500` to simulate a slow connection.
  */
-function updateCacheControl() {
-  // A meta tag without our marker was placed by the developer — leave it alone
-  const devMeta = document.querySelector('meta[name="turbo-cache-control"]:not([data-live-cable])')
-  if (devMeta) return
-
-  const ourMeta = document.querySelector('meta[name="turbo-cache-control"][data-live-cable]')
-  const hasLiveComponents = !!document.querySelector('[data-controller~="live"]')
+window.LiveCable = LiveCable
 
-  if (hasLiveComponents && !ourMeta) {
-    const meta = document.createElement('meta')
-    meta.name = 'turbo-cache-control'
-    meta.content = 'no-cache'
-    meta.dataset.liveCable = ''
-    document.head.appendChild(meta)
-  } else if (!hasLiveComponents && ourMeta) {
-    ourMeta.remove()
+// Deferred so options set right after importing this module, including
+// autoStart: false, apply before anything starts
+queueMicrotask(() => {
+  if (LiveCable.autoStart) {
+    LiveCable.start()
   }
+})
+
+// The setting outlives reloads, so make sure it isn't forgotten
+if (Latency.delay > 0) {
+  console.warn(`LiveCable: simulating ${Latency.delay}ms of latency, set LiveCable.latency = 0 to turn it off`)
 }
 
-export default observer
+export default LiveCable.observer
@@ -8,13 +8,18 @@ export default function LiveCableBlessing(constructor) {
         params,
       })
 
-      this.dispatch('call', {
+      const event = this.dispatch('call', {
         detail: {
           action,
           params,
         },
         prefix: null,
       })
+
+      // Set by the live controller that handled the event
+      return event.detail.promise ?? Promise.reject(
+        new Error(`LiveCable: "${action}" was not called from inside a live component`)
+      )
     }
   })
 }
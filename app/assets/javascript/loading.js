@@ -17,6 +17,8 @@
  * Multiple in-flight messages are counted; the DOM is only restored once
  * all of them have been answered.
  */
+import Attributes from "@isometriks/live_cable/attributes"
+
 export default class LoadingState {
   /** @type {HTMLElement} */
   #root
@@ -42,6 +44,14 @@ export default class LoadingState {
     return this.#inFlight > 0
   }
 
+  /**
+   * Number of messages awaiting a server response.
+   * @returns {number}
+   */
+  get inFlight() {
+    return this.#inFlight
+  }
+
   /**
    * Mark the component as loading.
    * Called right before a message is sent to the server.
@@ -96,7 +106,7 @@ export default class LoadingState {
   }
 
   #mark(element) {
-    element.setAttribute('live-loading', '')
+    element.setAttribute(Attributes.name('loading'), '')
     this.#markedElements.add(element)
   }
 
@@ -108,11 +118,11 @@ export default class LoadingState {
   #disableElements(trigger) {
     const elements = []
 
-    if (trigger.hasAttribute('live-disable-with')) {
+    if (trigger.hasAttribute(Attributes.name('disable-with'))) {
       elements.push(trigger)
     }
 
-    elements.push(...trigger.querySelectorAll('[live-disable-with]'))
+    elements.push(...trigger.querySelectorAll(Attributes.selector('disable-with')))
 
     elements.forEach(element => {
       // Already disabled by an earlier in-flight message
@@ -120,7 +130,7 @@ export default class LoadingState {
         return
       }
 
-      const text = element.getAttribute('live-disable-with')
+      const text = element.getAttribute(Attributes.name('disable-with'))
       const isInput = element instanceof HTMLInputElement
 
       this.#disabledElements.set(element, {
@@ -142,7 +152,7 @@ export default class LoadingState {
 
   #restore() {
     this.#markedElements.forEach(element => {
-      element.removeAttribute('live-loading')
+      element.removeAttribute(Attributes.name('loading'))
     })
     this.#markedElements.clear()
 
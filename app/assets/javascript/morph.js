@@ -0,0 +1,125 @@
+/**
+ * Morph strategies for LiveCable.
+ *
+ * Re-renders are applied by a morph adapter: a function that morphs an
+ * element in the page into its new version while following the rules
+ * LiveCable gives it. morphdom is used by default; idiomorph, or any other
+ * library, can be used instead:
+ *
+ *     import { Idiomorph } from "idiomorph"
+ *     import Morph from "@isometriks/live_cable/morph"
+ *
+ *     Morph.use(Morph.idiomorph(Idiomorph))
+ *
+ * Every adapter is given the same rules:
+ *
+ * - `beforeUpdate(fromEl, toEl)` - false to leave a node and its children as
+ *   they are (`live-ignore`, elements awaiting a response...)
+ * - `added(node)` - after a node was added
+ * - `beforeRemove(node)` - false to keep a node in the page for now
+ * - `removed(node)` - after a node was removed, and for each node inside it
+ * - `key(node)` - identity of an element when matching children, if it has one
+ */
+import morphdom from "morphdom"
+
+class Morph {
+  /** @type {string} - Prefix of the temporary ids given to keyed elements */
+  static KEY_ID_PREFIX = 'live-key:'
+
+  /** @type {function(Element, Element, Object)} */
+  #adapter = this.morphdom(morphdom)
+
+  /**
+   * Use another morph adapter for every re-render.
+   * @param {function(Element, Element, Object)} adapter - Morphs its first
+   *   argument into its second, following the rules in its third
+   */
+  use(adapter) {
+    if (typeof adapter !== 'function') {
+      throw new Error('LiveCable: a morph adapter must be a function')
+    }
+
+    this.#adapter = adapter
+  }
+
+  /**
+   * Morph an element into its new version with the current adapter.
+   *
+   * @param {Element} fromEl - The element in the page
+   * @param {Element} toEl - Its new version
+   * @param {Object} rules - See above
+   */
+  morph(fromEl, toEl, rules) {
+    this.#adapter(fromEl, toEl, rules)
+  }
+
+  /**
+   * Adapter for morphdom.
+   * @param {Function} morphdom - The morphdom function
+   * @returns {function(Element, Element, Object)}
+   */
+  morphdom(morphdom) {
+    return (fromEl, toEl, rules) => morphdom(fromEl, toEl, {
+      onBeforeElUpdated: (from, to) => rules.beforeUpdate(from, to),
+      onNodeAdded: (node) => rules.added(node),
+      onBeforeNodeDiscarded: (node) => rules.beforeRemove(node),
+      onNodeDiscarded: (node) => rules.removed(node),
+      getNodeKey: (node) => rules.key(node),
+    })
+  }
+
+  /**
+   * Adapter for idiomorph. Idiomorph only matches elements by id, so keyed
+   * elements without one are given a temporary id for the morph. idiomorph
+   * only reports the top of a removed subtree, so the rest is reported too.
+   *
+   * @param {Object} Idiomorph - The Idiomorph object
+   * @returns {function(Element, Element, Object)}
+   */
+  idiomorph(Idiomorph) {
+    return (fromEl, toEl, rules) => {
+      this.#keysAsIds(fromEl, rules)
+      this.#keysAsIds(toEl, rules)
+
+      try {
+        Idiomorph.morph(fromEl, toEl, {
+          morphStyle: 'outerHTML',
+          callbacks: {
+            beforeNodeMorphed: (from, to) => rules.beforeUpdate(from, to),
+            afterNodeAdded: (node) => rules.added(node),
+            beforeNodeRemoved: (node) => rules.beforeRemove(node),
+            afterNodeRemoved: (node) => this.#subtree(node).forEach(removed => rules.removed(removed)),
+          },
+        })
+      } finally {
+        // Nodes idiomorph inserted were copied from toEl with their ids
+        [fromEl, toEl].forEach(root => {
+          root.querySelectorAll?.(`[id^="${Morph.KEY_ID_PREFIX}"]`).forEach(element => element.removeAttribute('id'))
+        })
+      }
+    }
+  }
+
+  // Keys only have to be unique among siblings but ids are unique in the
+  // whole tree, so a key used more than once is left to idiomorph's own
+  // matching
+  #keysAsIds(root, rules) {
+    const keyed = new Map()
+
+    root.querySelectorAll?.('*').forEach(element => {
+      const key = !element.hasAttribute('id') && rules.key(element)
+
+      if (key) {
+        keyed.set(key, keyed.has(key) ? null : element)
+      }
+    })
+
+    keyed.forEach((element, key) => element?.setAttribute('id', `${Morph.KEY_ID_PREFIX}${key}`))
+  }
+
+  #subtree(node) {
+    return [node, ...(node.querySelectorAll?.('*') ?? [])]
+  }
+}
+
+export default new Morph()
@@ -1,4 +1,5 @@
 import DOM from "@isometriks/live_cable/dom"
+import Attributes from "@isometriks/live_cable/attributes"
 
 /**
  * LiveCable DOM Observer
@@ -26,9 +27,9 @@ export default class LiveObserver {
         })
 
         // Handle attribute changes
-        if (mutation.type === 'attributes' && mutation.attributeName === 'live-id') {
+        if (mutation.type === 'attributes' && mutation.attributeName === Attributes.name('id')) {
           const element = mutation.target
-          if (element.hasAttribute('live-id')) {
+          if (element.hasAttribute(Attributes.name('id'))) {
             DOM.mutate(element)
           }
         }
@@ -39,7 +40,7 @@ export default class LiveObserver {
       childList: true,
       subtree: true,
       attributes: true,
-      attributeFilter: ['live-id'],
+      attributeFilter: [Attributes.name('id')],
     })
 
     // Check the DOM as well when we start
@@ -60,12 +61,12 @@ export default class LiveObserver {
    * Check if an element or its descendants have live-id attribute
    */
   checkElement(element) {
-    if (element.hasAttribute && element.hasAttribute('live-id')) {
+    if (element.hasAttribute && element.hasAttribute(Attributes.name('id'))) {
       DOM.mutate(element)
     }
 
     if (element.querySelectorAll) {
-      const liveElements = element.querySelectorAll('[live-id]')
+      const liveElements = element.querySelectorAll(Attributes.selector('id'))
       liveElements.forEach((liveElement) => {
         DOM.mutate(liveElement)
       })
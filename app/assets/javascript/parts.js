@@ -0,0 +1,330 @@
+/**
+ * Part patching for LiveCable renders.
+ *
+ * A render is a list of parts - the static HTML between ERB tags and the
+ * output of each tag - and a refresh only carries the parts that changed.
+ * When a whole template is rendered, every part that is a complete fragment
+ * of HTML (it starts and ends outside of a tag, inside the component's root
+ * element, and closes every element it opens) is wrapped in comment markers:
+ *
+ *     <!--lc:3-->...part 3...<!--/lc:3-->
+ *
+ * A later refresh that only changes such parts parses just those, and morphs
+ * the nodes between their markers instead of re-parsing and morphing the
+ * whole component. Anything ambiguous - a part inside a tag or a
+ * `<textarea>`, a part rendering to different nodes than before, child
+ * components - falls back to the full morph.
+ */
+import DOM from "@isometriks/live_cable/dom"
+import Containers from "@isometriks/live_cable/containers"
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Parts {
+  /** @type {Set<string>} - Elements that never have a closing tag */
+  static VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+  ])
+
+  /** @type {Set<string>} - Elements whose content is text, where comments aren't comments */
+  static RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title'])
+
+  /** @type {Set<string>} - Elements that move stray text out of themselves */
+  static TABLE_ELEMENTS = new Set(['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR'])
+
+  /**
+   * Find the parts of a template that can be patched on their own.
+   *
+   * @param {Array<string|null>} parts - Every part of the template
+   * @returns {Array<boolean>} Whether each part gets markers
+   */
+  analyze(parts) {
+    const scanner = this.#scanner()
+    let depth = 0
+
+    return parts.map(part => {
+      const inside = scanner.state === 'data' && depth > 0
+      const balanced = this.#scan(scanner, part ?? '', tag => {
+        depth += tag.closing ? -1 : (tag.void ? 0 : 1)
+      })
+
+      return inside && balanced
+    })
+  }
+
+  /**
+   * Whether a new version of a patchable part is still a complete fragment,
+   * so the parts after it keep their context.
+   *
+   * @param {string} html
+   * @returns {boolean}
+   */
+  fragment(html) {
+    return this.#scan(this.#scanner(), html)
+  }
+
+  /**
+   * Join a template's parts into HTML, with markers around the patchable
+   * ones.
+   *
+   * @param {Array<string|null>} parts
+   * @param {Array<boolean>} patchable - As returned by analyze
+   * @returns {string}
+   */
+  join(parts, patchable) {
+    return parts.map((part, index) => {
+      return patchable[index] ? `<!--lc:${index}-->${part ?? ''}<!--/lc:${index}-->` : part
+    }).join('')
+  }
+
+  /**
+   * Patch changed parts into a component's element. Either every part is
+   * patched, or nothing is touched.
+   *
+   * @param {Element} root - The component's element
+   * @param {Map<number, string>} changes - New HTML by part index
+   * @param {function(Element, Element)} morph - Morphs an element in the
+   *   page into its new version
+   * @returns {boolean} False when the parts couldn't be patched and the
+   *   whole template must be morphed instead
+   */
+  patch(root, changes, morph) {
+    const markers = this.#markers(root)
+    const patches = []
+
+    for (const [index, html] of changes) {
+      const start = markers.get(`lc:${index}`)
+      const end = markers.get(`/lc:${index}`)
+
+      if (!start || !end || start.parentNode !== end.parentNode || Containers.merges(start.parentNode)) {
+        return false
+      }
+
+      const template = document.createElement('template')
+      template.innerHTML = html
+
+      // Child components are only wired up by the full render
+      if (template.content.querySelector(`LiveCable, ${Attributes.selector('id')}`)) {
+        return false
+      }
+
+      const from = this.#between(start, end)
+      const to = Array.from(template.content.childNodes)
+
+      if (!this.#matches(from, to, start.parentNode)) {
+        return false
+      }
+
+      patches.push({ from, to, end, content: template.content })
+    }
+
+    patches.forEach(({ from, to, end, content }) => {
+      DOM.mutate(content)
+
+      if (from.length === to.length) {
+        from.forEach((node, i) => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            morph(node, to[i])
+          } else if (node.data !== to[i].data) {
+            node.data = to[i].data
+          }
+        })
+      } else {
+        from.forEach(node => node.remove())
+        end.before(...to)
+      }
+    })
+
+    return true
+  }
+
+  #scanner() {
+    return { state: 'data', name: '', closing: false, quote: null, last: '', buffer: '', dashes: 0 }
+  }
+
+  /**
+   * Run HTML through a small tokenizer, carrying its state on from earlier
+   * parts. Only tells tags apart from text, comments and raw text.
+   *
+   * @returns {boolean} Whether the HTML ends outside of a tag and closes
+   *   every element it opens
+   */
+  #scan(scanner, html, onTag) {
+    const stack = []
+    let balanced = true
+
+    const emit = (tag) => {
+      onTag?.(tag)
+
+      if (tag.closing) {
+        balanced = stack.pop() === tag.name && balanced
+      } else if (!tag.void) {
+        stack.push(tag.name)
+      }
+    }
+
+    for (let i = 0; i < html.length; i++) {
+      const char = html[i]
+
+      switch (scanner.state) {
+        case 'data': {
+          const next = html.indexOf('<', i)
+          i = next === -1 ? html.length : next
+          scanner.state = next === -1 ? 'data' : 'open'
+          break
+        }
+        case 'open':
+          if (char === '!') {
+            scanner.state = 'bang'
+            scanner.buffer = ''
+          } else if (char === '/' || /[a-z]/i.test(char)) {
+            scanner.state = 'name'
+            scanner.closing = char === '/'
+            scanner.name = scanner.closing ? '' : char.toLowerCase()
+          } else if (char === '?') {
+            scanner.state = 'declaration'
+          } else {
+            // A literal "<"
+            scanner.state = 'data'
+            i--
+          }
+          break
+        case 'name':
+          if (/[\s/>]/.test(char)) {
+            scanner.state = 'attributes'
+            scanner.last = ''
+            i--
+          } else {
+            scanner.name += char.toLowerCase()
+          }
+          break
+        case 'attributes':
+          if (scanner.quote) {
+            scanner.quote = char === scanner.quote ? null : scanner.quote
+          } else if (char === '"' || char === "'") {
+            scanner.quote = char
+          } else if (char === '>') {
+            this.#closeTag(scanner, emit)
+          } else if (!/\s/.test(char)) {
+            scanner.last = char
+          }
+          break
+        case 'bang':
+          scanner.buffer += char
+
+          if (scanner.buffer === '--') {
+            scanner.state = 'comment'
+            scanner.dashes = 0
+          } else if (scanner.buffer !== '-') {
+            scanner.state = char === '>' ? 'data' : 'declaration'
+          }
+          break
+        case 'declaration':
+          if (char === '>') {
+            scanner.state = 'data'
+          }
+          break
+        case 'comment':
+          if (char === '>' && scanner.dashes >= 2) {
+            scanner.state = 'data'
+          }
+
+          scanner.dashes = char === '-' ? scanner.dashes + 1 : 0
+          break
+        case 'raw':
+          scanner.buffer = (scanner.buffer + char.toLowerCase()).slice(-(scanner.name.length + 2))
+
+          if (scanner.buffer === `</${scanner.name}`) {
+            scanner.state = 'attributes'
+            scanner.closing = true
+            scanner.last = ''
+          }
+          break
+      }
+    }
+
+    return balanced && stack.length === 0 && scanner.state === 'data'
+  }
+
+  #closeTag(scanner, emit) {
+    const { name, closing } = scanner
+    const selfClosing = !closing && scanner.last === '/'
+
+    scanner.state = 'data'
+    scanner.quote = null
+
+    if (!name) {
+      return
+    }
+
+    emit({ name, closing, void: selfClosing || Parts.VOID_ELEMENTS.has(name) })
+
+    if (!closing && !selfClosing && Parts.RAW_TEXT_ELEMENTS.has(name)) {
+      scanner.state = 'raw'
+      scanner.buffer = ''
+    }
+  }
+
+  // Markers of the component's own parts. Nested components and live-ignore
+  // elements are never patched, and a marker seen twice is ambiguous.
+  #markers(root) {
+    const markers = new Map()
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT, {
+      acceptNode(node) {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          return NodeFilter.FILTER_ACCEPT
+        }
+
+        if (node !== root && (node.hasAttribute(Attributes.name('ignore')) || node.matches('[data-controller~="live"]'))) {
+          return NodeFilter.FILTER_REJECT
+        }
+
+        return NodeFilter.FILTER_SKIP
+      },
+    })
+
+    while (walker.nextNode()) {
+      const key = walker.currentNode.data
+
+      if (/^\/?lc:\d+$/.test(key)) {
+        markers.set(key, markers.has(key) ? null : walker.currentNode)
+      }
+    }
+
+    return markers
+  }
+
+  #between(start, end) {
+    const nodes = []
+
+    for (let node = start.nextSibling; node && node !== end; node = node.nextSibling) {
+      nodes.push(node)
+    }
+
+    return nodes
+  }
+
+  // Whether the new nodes can replace the old ones the way a full morph
+  // would: text for text, or the same elements with the same keys
+  #matches(from, to, parent) {
+    const isText = (node) => node.nodeType === Node.TEXT_NODE
+
+    // Tables move stray text out of themselves when the whole template is parsed
+    if (Parts.TABLE_ELEMENTS.has(parent.nodeName) && to.some(node => isText(node) && node.data.trim())) {
+      return false
+    }
+
+    if (from.every(isText) && to.every(isText)) {
+      return true
+    }
+
+    return from.length === to.length && from.every((node, i) => {
+      return node.nodeName === to[i].nodeName && this.#key(node) === this.#key(to[i])
+    })
+  }
+
+  #key(node) {
+    return node.getAttribute?.(Attributes.name('key')) || node.id || null
+  }
+}
+
+export default new Parts()
@@ -0,0 +1,113 @@
+/**
+ * Scroll anchoring for LiveCable morphs.
+ *
+ * Scrollable containers marked with `live-scroll` keep a sensible position
+ * when a re-render adds content to them:
+ *
+ * - `live-scroll="bottom"` - stays scrolled to the bottom if it was at the
+ *   bottom before the morph (chats, logs). Starts at the bottom too.
+ * - `live-scroll="anchor"` - keeps the first visible child with a `live-key`
+ *   where it was on screen, so content inserted above it doesn't push it
+ *   away (feeds, "load older" buttons).
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Scroll {
+  /** @type {number} - Pixels from the bottom that still count as at the bottom */
+  static BOTTOM_THRESHOLD = 4
+
+  /** @type {WeakSet<Element>} - Bottom containers already scrolled into place */
+  #started = new WeakSet()
+
+  /**
+   * Record the scroll position of a root's containers, before it is morphed.
+   *
+   * @param {Element} root
+   * @returns {Map<Element, Object>} State for restore
+   */
+  capture(root) {
+    const states = new Map()
+
+    this.#containers(root).forEach(container => {
+      if (container.getAttribute(Attributes.name('scroll')) === 'anchor') {
+        const anchor = this.#firstVisibleChild(container)
+
+        if (anchor) {
+          states.set(container, { key: anchor.getAttribute(Attributes.name('key')), offset: this.#offset(container, anchor) })
+        }
+      } else {
+        states.set(container, { atBottom: this.#atBottom(container) })
+      }
+    })
+
+    return states
+  }
+
+  /**
+   * Put the containers back in place after a morph. Bottom containers new
+   * to the page start at the bottom.
+   *
+   * @param {Map<Element, Object>} states - As returned by capture
+   * @param {Element} root - The root that was morphed
+   */
+  restore(states, root) {
+    this.#containers(root).forEach(container => {
+      const state = states.get(container)
+
+      if (container.getAttribute(Attributes.name('scroll')) === 'anchor') {
+        if (state) {
+          this.#restoreAnchor(container, state)
+        }
+      } else if (state ? state.atBottom : !this.#started.has(container)) {
+        this.#scrollToBottom(container)
+      }
+    })
+  }
+
+  /**
+   * Scroll the bottom containers of a freshly connected component to the
+   * bottom.
+   * @param {Element} root
+   */
+  start(root) {
+    this.restore(new Map(), root)
+  }
+
+  #containers(root) {
+    const containers = root.matches?.(Attributes.selector('scroll')) ? [root] : []
+    containers.push(...root.querySelectorAll(Attributes.selector('scroll')))
+
+    return containers
+  }
+
+  #atBottom(container) {
+    return container.scrollHeight - container.scrollTop - container.clientHeight <= Scroll.BOTTOM_THRESHOLD
+  }
+
+  #scrollToBottom(container) {
+    container.scrollTop = container.scrollHeight
+    this.#started.add(container)
+  }
+
+  #firstVisibleChild(container) {
+    const top = container.getBoundingClientRect().top
+
+    return Array.from(container.children).find(child => {
+      return child.hasAttribute(Attributes.name('key')) && child.getBoundingClientRect().bottom > top
+    })
+  }
+
+  #offset(container, child) {
+    return child.getBoundingClientRect().top - container.getBoundingClientRect().top
+  }
+
+  #restoreAnchor(container, { key, offset }) {
+    const anchor = Array.from(container.children).find(child => child.getAttribute(Attributes.name('key')) === key)
+
+    if (anchor) {
+      container.scrollTop += this.#offset(container, anchor) - offset
+    }
+  }
+}
+
+export default new Scroll()
@@ -8,9 +8,11 @@
  *
  * Architecture:
  * - SubscriptionManager: Singleton that manages all active subscriptions
- * - Subscription: Wraps an ActionCable subscription and handles morphdom updates
+ * - Subscription: Wraps an ActionCable subscription and morphs its updates into the page
  * - Controller reconnection: When a controller disconnects/reconnects (e.g., due to
  *   Turbo navigation), the subscription persists and just updates its controller reference
+ * - Multiple elements: The same component rendered in several places shares one
+ *   subscription, which morphs every element and closes once the last one is gone
  *
  * Benefits:
  * - Reduces WebSocket churn
@@ -18,11 +20,19 @@
  * - Eliminates race conditions from rapid connect/disconnect cycles
  */
 
-import { createConsumer } from "@rails/actioncable"
-import morphdom from "morphdom"
+import { createConsumer, getConfig } from "@rails/actioncable"
 import DOM from "@isometriks/live_cable/dom"
-
-const consumer = createConsumer()
+import Hooks from "@isometriks/live_cable/hooks"
+import Commands from "@isometriks/live_cable/commands"
+import Focus from "@isometriks/live_cable/focus"
+import Scroll from "@isometriks/live_cable/scroll"
+import Transitions from "@isometriks/live_cable/transitions"
+import Containers from "@isometriks/live_cable/containers"
+import Parts from "@isometriks/live_cable/parts"
+import Morph from "@isometriks/live_cable/morph"
+import Debug from "@isometriks/live_cable/debug"
+import Latency from "@isometriks/live_cable/latency"
+import Attributes from "@isometriks/live_cable/attributes"
 
 /**
  * Create a DOM element from HTML string, skipping comment nodes.
@@ -56,6 +66,78 @@ class SubscriptionManager {
   /** @type {Object.<string, ComponentState>} */
   #componentStates = {}
 
+  /**
+   * How long, in milliseconds, a message sent while the connection is down
+   * is kept for replay. Once it expires the message is dropped and a
+   * `live:message-expired` event is dispatched from the component.
+   * @type {number}
+   */
+  outboxTimeout = 30000
+
+  /**
+   * How long, in milliseconds, the tab has to stay hidden before every
+   * subscription is suspended, or null to keep them open. Suspended
+   * subscriptions close their channel, so the server drops the components,
+   * and resume as soon as the tab is visible again.
+   * @type {number|null}
+   */
+  suspendHiddenAfter = null
+
+  /** @type {number|null} - Pending suspension of a hidden tab */
+  #suspendTimeout = null
+
+  /** @type {Object|null} - ActionCable consumer, created on first use */
+  #consumer = null
+  /** @type {function(): Object} - Builds the consumer */
+  #createConsumer = () => createConsumer()
+
+  /**
+   * Choose the ActionCable consumer components subscribe with. By default a
+   * consumer is created for the URL in the `action-cable-url` meta tag, or
+   * `/cable`, when the first component subscribes.
+   *
+   * @param {Object} options
+   * @param {Object} [options.consumer] - An existing consumer to share
+   * @param {string|function(): string} [options.url] - Cable URL to connect to
+   * @param {Object|function(): Object} [options.params] - Connection params,
+   *   such as an auth token, added to the URL's query string. A function is
+   *   called again every time the connection is opened.
+   */
+  configureConsumer({ consumer, url, params } = {}) {
+    if (this.#consumer) {
+      throw new Error('LiveCable: the consumer must be configured before components subscribe')
+    }
+
+    if (consumer) {
+      this.#createConsumer = () => consumer
+    } else if (params) {
+      this.#createConsumer = () => createConsumer(() => this.#cableUrl(url, params))
+    } else {
+      this.#createConsumer = () => createConsumer(url)
+    }
+  }
+
+  /**
+   * The ActionCable consumer, created on first use.
+   * @returns {Object}
+   */
+  get consumer() {
+    this.#consumer ??= this.#createConsumer()
+    return this.#consumer
+  }
+
+  #cableUrl(url, params) {
+    const base = (typeof url === 'function' ? url() : url) || getConfig('url') || '/cable'
+    const cableUrl = new URL(base, window.location.href)
+    const values = typeof params === 'function' ? params() : params
+
+    Object.entries(values).forEach(([name, value]) => {
+      cableUrl.searchParams.set(name, value)
+    })
+
+    return cableUrl.toString()
+  }
+
   /**
    * Register a component state before subscription is created.
    * Used when a child component is rendered before its controller connects.
@@ -74,8 +156,8 @@ class SubscriptionManager {
 
   /**
    * Subscribe to or reconnect to a LiveCable component.
-   * If a subscription already exists for this liveId, updates the controller
-   * reference instead of creating a new subscription.
+   * If a subscription already exists for this liveId, the controller is
+   * attached to it instead of creating a new subscription.
    * If a ComponentState exists and the controller element matches, reuses it.
    *
    * @param {string} id - Raw ID for the component (e.g., "room-1")
@@ -102,7 +184,7 @@ class SubscriptionManager {
       }
     }
 
-    this.#subscriptions[liveId].controller = controller
+    this.#subscriptions[liveId].attach(controller)
 
     return this.#subscriptions[liveId]
   }
@@ -118,6 +200,27 @@ class SubscriptionManager {
     delete this.#subscriptions[liveId]
   }
 
+  /**
+   * Suspend every subscription once the tab has been hidden for
+   * suspendHiddenAfter, and resume them when it's shown again. Called on
+   * `visibilitychange`.
+   *
+   * @param {boolean} hidden - Whether the tab is now hidden
+   */
+  visibilityChanged(hidden) {
+    clearTimeout(this.#suspendTimeout)
+    this.#suspendTimeout = null
+
+    if (!hidden) {
+      Object.values(this.#subscriptions).forEach(subscription => subscription.resume())
+    } else if (this.suspendHiddenAfter !== null) {
+      this.#suspendTimeout = setTimeout(() => {
+        this.#suspendTimeout = null
+        Object.values(this.#subscriptions).forEach(subscription => subscription.suspend())
+      }, this.suspendHiddenAfter)
+    }
+  }
+
   /**
    * Unsubscribe components not present in the new page body.
    * Called before Turbo Drive renders a new page so that only components
@@ -158,9 +261,9 @@ class SubscriptionManager {
   #extractLiveIds(body) {
     const ids = new Set()
 
-    body.querySelectorAll('[live-id]').forEach(el => {
-      const id = el.getAttribute('live-id')
-      const component = el.getAttribute('live-component')
+    body.querySelectorAll(Attributes.selector('id')).forEach(el => {
+      const id = el.getAttribute(Attributes.name('id'))
+      const component = el.getAttribute(Attributes.name('component'))
       if (id && component) ids.add(`${component}/${id}`)
     })
 
@@ -198,6 +301,10 @@ class ComponentState {
   #lastTemplate
   /** @type {HTMLElement} - The DOM element for this component */
   #element
+  /** @type {Object} - Map of template_id to which parts are wrapped in markers */
+  #patchableByTemplate = {}
+  /** @type {boolean} - Whether the element shows the cached parts, markers included */
+  #rendered = false
 
   /**
    * Creates component state from initial render data.
@@ -244,11 +351,12 @@ class ComponentState {
    * @returns {HTMLElement}
    */
   createRefresh(refresh) {
+    this.#rendered = false
+
     // If no refresh data provided, use the last rendered template
     if (!refresh) {
       const tid = this.#lastTemplate || 'default'
-      const html = this.#partsByTemplate[tid].join('')
-      return this.#buildRefreshDOM(html)
+      return this.#buildRefreshDOM(this.#join(tid))
     }
 
     const [template, parts] = [refresh['h'], refresh['p']]
@@ -269,8 +377,66 @@ class ComponentState {
       }
     }
 
-    const html = this.#partsByTemplate[tid].join('')
-    return this.#buildRefreshDOM(html)
+    return this.#buildRefreshDOM(this.#join(tid))
+  }
+
+  /**
+   * Take the changed parts of a refresh that can be patched into the element
+   * on their own, and update the stored state with them.
+   *
+   * @param {Object} refresh - Refresh data from the server
+   * @returns {Map<number, string>|null} New HTML by part index, or null
+   *   (leaving the stored state untouched) when the whole template has to
+   *   be rendered, e.g. for a different template or child components
+   */
+  createPatch(refresh) {
+    const tid = refresh?.['h'] || this.#lastTemplate
+    const current = this.#partsByTemplate[tid]
+    const patchable = this.#patchableByTemplate[tid]
+    const parts = refresh?.['p']
+
+    if (!this.#rendered || tid !== this.#lastTemplate || !current || !patchable || !parts) {
+      return null
+    }
+
+    if (parts.length !== current.length || Object.keys(refresh['c'] || {}).length > 0) {
+      return null
+    }
+
+    const changes = new Map()
+
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] === null || parts[i] === current[i]) {
+        continue
+      }
+
+      if (!patchable[i] || !Parts.fragment(parts[i])) {
+        return null
+      }
+
+      changes.set(i, parts[i])
+    }
+
+    changes.forEach((part, i) => {
+      current[i] = part
+    })
+
+    return changes
+  }
+
+  /**
+   * Record that the element now shows the cached parts, so later refreshes
+   * can be patched into it.
+   */
+  markRendered() {
+    this.#rendered = true
+  }
+
+  #join(tid) {
+    const parts = this.#partsByTemplate[tid]
+    this.#patchableByTemplate[tid] = Parts.analyze(parts)
+
+    return Parts.join(parts, this.#patchableByTemplate[tid])
   }
 
   /**
@@ -288,6 +454,10 @@ class ComponentState {
    * @param {HTMLElement} element
    */
   set element(element) {
+    if (element !== this.#element) {
+      this.#rendered = false
+    }
+
     this.#element = element
   }
 }
@@ -295,23 +465,45 @@ class ComponentState {
 /**
  * Represents a single ActionCable subscription to a LiveCable component.
  * Handles receiving updates from the server and applying them to the DOM
- * via morphdom.
+ * with the configured morph adapter.
  */
 class Subscription {
+  /** @type {number} - Milliseconds the subscription stays open after its last element is gone */
+  static CLOSE_DELAY = 1000
+
   /** @type {string} */
   #id
   /** @type {string} */
   #component
   /** @type {Object} */
   #defaults
-  /** @type {Object|null} */
-  #controller
+  /** @type {Set<Object>} - Controllers of every element showing the component */
+  #controllers = new Set()
   /** @type {ComponentState} */
   #componentState
-  /** @type {Object} */
+  /** @type {Object|null} - The ActionCable subscription, null while suspended */
   #subscription
   /** @type {string|null} */
   #currentStatus = null
+  /** @type {boolean} - Whether the channel has confirmed the subscription */
+  #connected = false
+  /** @type {Array<Object>} - Messages awaiting a connection, with their reply and expiry timer */
+  #outbox = []
+  /** @type {number} - Last id given to an outgoing message */
+  #lastMessageId = 0
+  /** @type {Map<number, {resolve: Function, reject: Function, controller: Object|null, loading?: boolean}>} - Sent messages awaiting a response */
+  #replies = new Map()
+  /** @type {boolean} - Whether the connection dropped and the component must recover its form state */
+  #recovering = false
+  /** @type {boolean} - Whether a render was cached without being shown, pending recovery */
+  #heldRender = false
+  /** @type {boolean} - Whether the channel was closed while the tab is hidden */
+  #suspended = false
+  /** @type {number|null} - Pending close once no controller is attached */
+  #closeTimeout = null
+  /** @type {boolean} - Whether unsubscribe() has run */
+  #closed = false
+
   /**
    * Creates a new subscription to a LiveCable component.
    *
@@ -325,7 +517,7 @@ class Subscription {
     this.#id = id
     this.#component = component
     this.#defaults = defaults
-    this.#controller = controller
+    this.#controllers.add(controller)
 
     // Use existing state or create new one
     if (existingState) {
@@ -352,10 +544,11 @@ class Subscription {
   }
 
   /**
-   * Update the controller reference.
-   * Called when a Stimulus controller reconnects to an existing subscription —
-   * most importantly after a Turbo Drive navigation to a page that contains the
-   * same component, where prune() deliberately keeps the subscription alive.
+   * Attach a controller, so its element is morphed along with the others.
+   * Called when a Stimulus controller connects to an existing subscription —
+   * when the component is rendered in more than one place, or after a Turbo
+   * Drive navigation to a page that contains the same component, where
+   * prune() deliberately keeps the subscription alive.
    *
    * In that case the ActionCable subscription is never recreated, so
    * LiveChannel#subscribed does not run again and the server sends nothing.
@@ -365,41 +558,241 @@ class Subscription {
    *
    * @param {Object} controller - Stimulus controller instance
    */
-  set controller(controller) {
-    const previous = this.#controller
+  attach(controller) {
+    clearTimeout(this.#closeTimeout)
+    this.#closeTimeout = null
+
+    if (this.#controllers.has(controller)) {
+      return
+    }
 
-    this.#controller = controller
+    this.#controllers.add(controller)
     this.#componentState.element = controller.element
+    this.#reattach(controller)
+  }
 
-    if (previous && previous !== controller) {
-      this.#reattach()
+  /**
+   * Detach a controller whose element left the page. Once none is left the
+   * subscription closes, after a moment so that an element moved by a morph
+   * or replaced by a Turbo render can attach again first.
+   *
+   * @param {Object} controller - Stimulus controller instance
+   */
+  detach(controller) {
+    if (!this.#controllers.delete(controller) || this.#controllers.size > 0 || this.#closed) {
+      return
     }
+
+    this.#closeTimeout = setTimeout(() => this.unsubscribe(), Subscription.CLOSE_DELAY)
   }
 
   /**
    * Bring a freshly connected controller up to date with state this
    * subscription already holds.
+   * @param {Object} controller
    * @private
    */
-  #reattach() {
+  #reattach(controller) {
     if (this.#currentStatus) {
-      this.#controller.statusValue = this.#currentStatus
+      controller.statusValue = this.#currentStatus
     }
 
     // Replay the last render into the new element. The server-side component
-    // is the same instance, so the cached parts are its current state.
-    if (this.#componentState.hasRender) {
-      this.#handleRefresh(null)
+    // is the same instance, so the cached parts are its current state. A
+    // render held back for recovery is shown once it's up to date.
+    if (this.#componentState.hasRender && !this.#heldRender) {
+      this.#handleRefresh(null, { answered: [], controllers: new Set([controller]) })
     }
   }
 
   /**
    * Send a message to the server through the ActionCable subscription.
+   * While the channel is not connected the message is held in the outbox
+   * and replayed, in order, once the subscription is confirmed again.
    *
-   * @param {Object} message - Message to send (e.g., action calls, reactive updates)
+   * Every message in the batch is given an id, which the server echoes back
+   * with the response that answers it.
+   *
+   * @param {Object} message - Message batch to send (e.g., action calls, reactive updates)
+   * @param {Object} [controller] - Controller that sent it, whose loading
+   *   state the response finishes; every attached controller's when omitted
+   * @returns {Promise<void>} Resolves when the server answers with a refresh
+   *   or an ack, rejects when it answers with an error or the message is
+   *   never delivered
+   */
+  send(message, controller = null) {
+    let reply
+    const promise = new Promise((resolve, reject) => {
+      reply = { resolve, reject, controller }
+    })
+
+    // Most callers fire and forget; don't report their rejections as unhandled
+    promise.catch(() => {})
+
+    // Something still wants the server, so it can't wait for the tab
+    if (this.#suspended) {
+      this.resume()
+    }
+
+    const entry = { message, reply, ids: this.#assignIds(message) }
+
+    if (this.#connected) {
+      this.#transmit(entry)
+    } else {
+      this.#enqueue(entry)
+    }
+
+    return promise
+  }
+
+  /**
+   * @param {Object} message - Message batch
+   * @returns {Array<number>} The ids given to each message in the batch
+   * @private
+   */
+  #assignIds(message) {
+    return (message.messages || []).map(batched => {
+      batched._id = ++this.#lastMessageId
+      return batched._id
+    })
+  }
+
+  /**
+   * @param {Object} entry - Message batch with its reply and ids
+   * @private
+   */
+  #transmit({ message, reply, ids }) {
+    ids.forEach(id => this.#replies.set(id, reply))
+
+    // Delayed while simulating latency in development. If the channel was
+    // suspended, closed or dropped meanwhile, the reply was already rejected
+    Latency.run(() => {
+      if (this.#connected) {
+        this.#subscription.send(message)
+      }
+    })
+
+    Debug.log(this.#liveId, `→ ${this.#describe(message)}, ${this.#inFlight} in flight`, message)
+  }
+
+  /**
+   * @param {Object} message - Message batch
+   * @returns {string} The batch's actions, for debug logging
+   * @private
+   */
+  #describe(message) {
+    return (message.messages || []).map(batched => batched._action).join(', ')
+  }
+
+  /** @returns {string} */
+  get #liveId() {
+    return `${this.#component}/${this.#id}`
+  }
+
+  /** @returns {number} Messages awaiting a response, over every controller */
+  get #inFlight() {
+    return Array.from(this.#controllers).reduce((count, controller) => count + (controller.inFlight ?? 0), 0)
+  }
+
+  /**
+   * Settle the promises of the messages a response answers.
+   * @param {Array<number>} ids - Message ids echoed back by the server
+   * @param {Error} [error] - Rejects instead of resolving when given
+   * @returns {Array<Object>|null} The controllers that sent them, once per
+   *   batch, or null when one was sent on behalf of every controller
+   * @private
+   */
+  #settle(ids, error) {
+    const replies = new Set()
+
+    ids.forEach(id => {
+      const reply = this.#replies.get(id)
+
+      if (reply) {
+        this.#replies.delete(id)
+        replies.add(reply)
+        error ? reply.reject(error) : reply.resolve()
+      }
+    })
+
+    // Replies without a loading share, such as recovery's, finish nothing
+    const answered = Array.from(replies).filter(reply => reply.loading !== false).map(reply => reply.controller)
+
+    return answered.includes(null) ? null : answered
+  }
+
+  /**
+   * Release the loading state of the messages a response answers.
+   * @param {Array<Object>|null} answered - As returned by #settle
+   * @private
    */
-  send(message) {
-    this.#subscription.send(message)
+  #finishLoading(answered) {
+    (answered ?? Array.from(this.#controllers)).forEach(controller => {
+      if (this.#controllers.has(controller)) {
+        controller.finishLoading()
+      }
+    })
+  }
+
+  /**
+   * Reject every sent message that is still waiting for a response.
+   * @param {string} reason
+   * @private
+   */
+  #rejectReplies(reason) {
+    const replies = new Set(this.#replies.values())
+    this.#replies.clear()
+
+    replies.forEach(reply => reply.reject(new Error(reason)))
+  }
+
+  /**
+   * Hold a message until the channel is connected, dropping it if that
+   * takes longer than the manager's outbox timeout.
+   * @param {Object} entry - Message batch with its reply and ids
+   * @private
+   */
+  #enqueue(entry) {
+    entry.timeout = setTimeout(() => this.#expire(entry), subscriptionManager.outboxTimeout)
+    this.#outbox.push(entry)
+
+    Debug.log(this.#liveId, `queued ${this.#describe(entry.message)} until connected`, entry.message)
+  }
+
+  /**
+   * Give up on a queued message. Nothing will ever answer it, so its share
+   * of the loading state is released here.
+   * @param {{message: Object}} entry
+   * @private
+   */
+  #expire(entry) {
+    this.#outbox.splice(this.#outbox.indexOf(entry), 1)
+    entry.reply.reject(new Error('LiveCable: message expired before the connection was restored'))
+
+    const { controller } = entry.reply
+    const controllers = controller ? [controller] : Array.from(this.#controllers)
+
+    controllers.filter(controller => this.#controllers.has(controller)).forEach(controller => {
+      controller.finishLoading()
+      controller.element.dispatchEvent(new CustomEvent('live:message-expired', {
+        detail: { message: entry.message },
+        bubbles: true,
+      }))
+    })
+  }
+
+  /**
+   * Send everything queued while disconnected, oldest first.
+   * @private
+   */
+  #flushOutbox() {
+    const entries = this.#outbox
+    this.#outbox = []
+
+    entries.forEach(entry => {
+      clearTimeout(entry.timeout)
+      this.#transmit(entry)
+    })
   }
 
   /**
@@ -408,26 +801,138 @@ class Subscription {
    * server sends a 'destroy' status.
    */
   unsubscribe() {
-    this.#subscription.unsubscribe()
+    if (this.#closed) {
+      return
+    }
+
+    this.#closed = true
+    clearTimeout(this.#closeTimeout)
+    this.#outbox.forEach(({ timeout, reply }) => {
+      clearTimeout(timeout)
+      reply.reject(new Error('LiveCable: component unsubscribed before the message was sent'))
+    })
+    this.#outbox = []
+    this.#connected = false
+    this.#rejectReplies('LiveCable: component unsubscribed before the server responded')
+
+    this.#subscription?.unsubscribe()
     const liveId = `${this.#component}/${this.#id}`
     subscriptionManager.unsubscribe(liveId)
   }
 
+  /**
+   * Close the channel while the tab is hidden. The server drops its
+   * component, while the cached render and the controllers are kept for
+   * resume().
+   */
+  suspend() {
+    if (this.#suspended) {
+      return
+    }
+
+    this.#handleDisconnected()
+    this.#suspended = true
+    this.#subscription.unsubscribe()
+    this.#subscription = null
+    this.#handleStatus('suspended')
+
+    Debug.log(this.#liveId, 'suspended while the tab is hidden')
+  }
+
+  /**
+   * Subscribe again after suspend(). The server builds the component afresh,
+   * so this goes through the same recovery as a reconnect: its first render
+   * is held until the values of the component's forms and reactive inputs
+   * have been sent, and a single up-to-date render is shown.
+   */
+  resume() {
+    if (!this.#suspended) {
+      return
+    }
+
+    this.#suspended = false
+    this.#subscribe()
+
+    Debug.log(this.#liveId, 'resumed')
+  }
+
   /**
    * Create the underlying ActionCable subscription.
    * @private
    */
   #subscribe() {
-    this.#subscription = consumer.subscriptions.create({
+    this.#subscription = subscriptionManager.consumer.subscriptions.create({
       channel: "LiveChannel",
       id: this.#id,
       component: this.#component,
       defaults: this.#defaults,
     }, {
-      received: this.#received,
+      connected: this.#handleConnected,
+      disconnected: this.#handleDisconnected,
+      received: (data) => Latency.run(() => this.#received(data)),
     })
   }
 
+  /**
+   * Called by ActionCable once the server confirms the subscription, both
+   * initially and after every reconnect.
+   * @private
+   */
+  #handleConnected = () => {
+    this.#connected = true
+
+    if (this.#recovering) {
+      this.#recover()
+    }
+
+    this.#flushOutbox()
+  }
+
+  /**
+   * After a reconnect the server builds the component afresh from its
+   * defaults, and its first render would overwrite whatever the user typed.
+   * That render is held back while the values of the component's forms and
+   * reactive inputs are sent to the server, ahead of anything in the
+   * outbox; the answer to them is the first render shown.
+   * @private
+   */
+  #recover() {
+    this.#recovering = false
+
+    // Every element has its own inputs; where they share a name the last
+    // one's value wins
+    const recovery = Array.from(this.#controllers, controller => controller.recoveryMessage()).filter(Boolean)
+
+    // Recovery never started a loading state, so its answer must not finish
+    // the share of an action that waited in the outbox
+    if (recovery.length) {
+      const message = { ...recovery[0], messages: recovery.flatMap(message => message.messages) }
+      const reply = { resolve: () => {}, reject: () => {}, controller: null, loading: false }
+
+      this.#transmit({ message, reply, ids: this.#assignIds(message) })
+    } else if (this.#heldRender) {
+      this.#handleRefresh(null, { answered: [] })
+    }
+  }
+
+  /**
+   * Called by ActionCable when the connection drops. Messages that were
+   * already sent will never be answered, so their loading state is cleared
+   * and their promises rejected; anything sent from now on waits in the
+   * outbox.
+   * @private
+   */
+  #handleDisconnected = () => {
+    if (!this.#connected) {
+      return
+    }
+
+    this.#connected = false
+    this.#recovering = true
+    this.#controllers.forEach(controller => controller.resetLoading())
+    this.#rejectReplies('LiveCable: connection lost before the server responded')
+  }
+
   /**
    * Handle incoming messages from the server.
    * Processes status updates and DOM refreshes.
@@ -440,72 +945,110 @@ class Subscription {
    *   without producing a re-render; clears the loading state
    * @param {Array} [data._events] - Events to dispatch as CustomEvents; when
    *   attached to a _refresh they fire after the DOM has been morphed
+   * @param {Array<number>} [data._ids] - Ids of the messages this response
+   *   answers
    * @private
    */
   #received = (data) => {
+    Debug.log(this.#liveId, `← ${Object.keys(data).join(', ')}`, data)
+
+    // Settled before the branch below, since an error unsubscribes and would
+    // otherwise reject these with a generic reason. Promise callbacks run
+    // after this handler returns, so they still observe the morphed DOM.
+    // Responses that don't say which messages they answer, such as renders
+    // broadcast by the server, finish every controller's loading state.
+    const answered = data['_ids']
+      ? this.#settle(data['_ids'], data['_error'] && this.#serverError(data['_error']))
+      : null
+
     if (data['_status']) {
       this.#handleStatus(data['_status'])
+    } else if (data['_refresh'] && this.#recovering) {
+      this.#holdRefresh(data['_refresh'])
     } else if (data['_refresh']) {
-      this.#handleRefresh(data['_refresh'])
+      this.#handleRefresh(data['_refresh'], { answered })
     } else if (data['_error']) {
       this.#handleError(data['_error'])
+    } else if (data['_ack'] && this.#heldRender) {
+      // Recovery changed nothing, so the held render is up to date
+      this.#handleRefresh(null, { answered })
     } else if (data['_ack']) {
-      this.#controller?.finishLoading()
+      this.#finishLoading(answered)
     }
 
     // Dispatch after the branch above so events attached to a refresh fire
     // once the morph has completed and handlers see the updated DOM
     if (data['_events']) {
-      this.#dispatchEvents(data['_events'])
+      this.#dispatchEvents(data['_events'], answered)
+    }
+
+    if (data['_ids']) {
+      Debug.log(this.#liveId, `${this.#inFlight} in flight`)
     }
   }
 
   /**
-   * Fire server-dispatched events as bubbling CustomEvents from the
-   * component's root element, or from window when the event asks for it.
+   * @param {string} html - Error markup sent by the server
+   * @returns {Error} Error carrying the markup on its `html` property
+   * @private
+   */
+  #serverError(html) {
+    const error = new Error('LiveCable: the server raised an error while processing the message')
+    error.html = html
+    return error
+  }
+
+  /**
+   * Fire server-dispatched events as bubbling CustomEvents, once each: from
+   * the root element that sent the message they answer, the first attached
+   * one otherwise, or from window when the event asks for it. Firing from
+   * every element would reach document listeners once per element.
    *
    * @param {Array<{name: string, detail: Object, window: boolean}>} events
+   * @param {Array<Object>|null} answered - As returned by #settle
    * @private
    */
-  #dispatchEvents(events) {
+  #dispatchEvents(events, answered) {
+    const controller = answered?.find(controller => this.#controllers.has(controller)) ?? this.#controllers.values().next().value
+
     events.forEach(({ name, detail, window: onWindow }) => {
-      const target = onWindow ? window : this.#controller?.element
+      const target = onWindow ? window : controller?.element
 
-      if (target) {
-        target.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }))
-      }
+      target?.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }))
     })
   }
 
   /**
    * Handle error messages from the server.
-   * Replaces the component element with raw error HTML, then unsubscribes
+   * Replaces the component's elements with raw error HTML, then unsubscribes
    * to trigger server-side cleanup via LiveChannel#unsubscribed.
    * @param {string} html - Raw HTML error markup
    * @private
    */
   #handleError(html) {
-    if (!this.#controller) {
+    if (this.#controllers.size === 0) {
       return
     }
 
-    this.#controller.resetLoading()
-    this.#controller.element.outerHTML = html
+    this.#controllers.forEach(controller => {
+      controller.resetLoading()
+      controller.element.outerHTML = html
+    })
     this.unsubscribe()
   }
 
   /**
    * Handle status updates from the server.
-   * Updates the controller's status and handles destroy status.
+   * Updates the controllers' status and handles destroy status.
    * @param {string} status - Status update (e.g., 'subscribed', 'destroy')
    * @private
    */
   #handleStatus(status) {
     this.#currentStatus = status
 
-    if (this.#controller) {
-      this.#controller.statusValue = status
-    }
+    this.#controllers.forEach(controller => {
+      controller.statusValue = status
+    })
 
     // Handle destroy status - permanently remove this subscription
     if (status === 'destroy') {
@@ -514,63 +1057,189 @@ class Subscription {
   }
 
   /**
-   * Handle DOM refreshes from the server.
-   * Updates the DOM using morphdom.
+   * Cache a render without morphing it into the page, so later partial
+   * renders still apply on top of it.
    * @param {Object} refresh - Refresh data from the server
    * @private
    */
-  #handleRefresh(refresh) {
+  #holdRefresh(refresh) {
+    this.#handleStatus('subscribed')
+    this.#buildRefreshDOM(refresh)
+    this.#heldRender = true
+  }
+
+  /**
+   * Handle DOM refreshes from the server.
+   * Updates the element of every attached controller with the configured
+   * morph adapter.
+   * @param {Object|null} refresh - Refresh data from the server, or null to
+   *   replay the cached render
+   * @param {Object} [options]
+   * @param {Array<Object>|null} [options.answered] - Controllers whose
+   *   messages the refresh answers, null for all of them
+   * @param {Set<Object>} [options.controllers] - Controllers to render into,
+   *   all of them by default
+   * @private
+   */
+  #handleRefresh(refresh, { answered = null, controllers = this.#controllers } = {}) {
     // If we're getting a refresh we must be connected
     this.#handleStatus('subscribed')
 
     // If no controller is attached, we can't update the DOM
-    if (!this.#controller) {
+    if (controllers.size === 0) {
       return
     }
 
+    this.#heldRender = false
+
     // Restore live-loading / live-disable-with state before morphing so the
     // morph applies the server-rendered truth on top of the original DOM.
     // With multiple messages in flight this only restores once the last
-    // response arrives - until then the morph below preserves the pending
+    // response arrives - until then the morph preserves the pending
     // elements so live-disable-with buttons can't be clicked early.
-    this.#controller.finishLoading()
+    this.#finishLoading(answered)
+
+    // Parts that changed on their own are patched between their markers;
+    // anything else re-renders and morphs the whole template. Elements
+    // awaiting a response are only kept untouched by the full morph.
+    const started = performance.now()
+    const loading = Array.from(controllers).some(controller => controller.isLoading)
+    const changes = loading ? null : this.#componentState.createPatch(refresh)
+
+    // The render is built once, on first use. The first element gets it,
+    // so child components keep the elements they were registered with, and
+    // every other element a copy.
+    let original = null
+    const build = () => {
+      if (original) {
+        return original.cloneNode(true)
+      }
 
-    const rootElement = this.#controller.element
-    const stillLoading = this.#controller.isLoading
+      // Stored parts already include the changes when patching failed
+      const refreshDOM = this.#buildRefreshDOM(changes ? null : refresh)
 
-    const refreshDOM = this.#buildRefreshDOM(refresh)
+      if (controllers.size > 1) {
+        original = refreshDOM.cloneNode(true)
+      }
 
-    if (stillLoading) {
-      refreshDOM.setAttribute('live-loading', '')
+      return refreshDOM
     }
 
-    morphdom(rootElement, refreshDOM, {
+    let patched = true
+
+    controllers.forEach(controller => {
+      patched = this.#render(controller, changes, build) && patched
+    })
+
+    if (!patched && !loading) {
+      this.#componentState.markRendered()
+    }
+
+    const elements = controllers.size > 1 ? ` into ${controllers.size} elements` : ''
+    Debug.log(this.#liveId, `${patched ? 'patched' : 'morphed'} ${this.#partCount(refresh)}${elements} in ${(performance.now() - started).toFixed(1)}ms`)
+  }
+
+  /**
+   * Patch or morph a refresh into one controller's element.
+   * @param {Object} controller
+   * @param {Map<number, string>|null} changes - Parts to patch, as returned
+   *   by ComponentState#createPatch
+   * @param {function(): HTMLElement} build - Builds the whole render
+   * @returns {boolean} Whether the changes were patched
+   * @private
+   */
+  #render(controller, changes, build) {
+    const rootElement = controller.element
+    const stillLoading = controller.isLoading
+
+    // Hooks are told about updates once the whole tree has been morphed,
+    // so they never observe a half-patched component
+    const updated = []
+    const focus = Focus.capture(rootElement)
+    const scroll = Scroll.capture(rootElement)
+
+    // The rules every morph adapter follows
+    const rules = {
       // Preserve elements marked with live-ignore attribute
-      onBeforeElUpdated(fromEl, toEl) {
+      beforeUpdate(fromEl, toEl) {
         if (!fromEl.hasAttribute) {
           return true
         }
 
-        if (fromEl.hasAttribute('live-ignore')) {
+        if (fromEl.hasAttribute(Attributes.name('ignore'))) {
+          return false
+        }
+
+        // Already removed by the server, only kept until its leave
+        // transition ends
+        if (Transitions.isLeaving(fromEl)) {
           return false
         }
 
         // Keep elements that are still awaiting a server response untouched
         // (the root is handled above so the rest of the tree still morphs)
-        if (stillLoading && fromEl !== rootElement && fromEl.hasAttribute('live-loading')) {
+        if (stillLoading && fromEl !== rootElement && fromEl.hasAttribute(Attributes.name('loading'))) {
+          return false
+        }
+
+        // live-lazy only comes with the page's render, not with renders over
+        // the socket, and a controller that connects again must stay lazy
+        if (fromEl === rootElement && fromEl.hasAttribute('data-live-lazy-value') && !toEl.hasAttribute('data-live-lazy-value')) {
+          toEl.setAttribute('data-live-lazy-value', fromEl.getAttribute('data-live-lazy-value'))
+        }
+
+        // Keep classes and attributes set by live-js commands
+        Commands.restore(fromEl, toEl)
+
+        // Don't overwrite what the user is typing
+        Focus.preserve(fromEl, toEl)
+
+        if (Hooks.beforeUpdate(fromEl, toEl)) {
+          updated.push(fromEl)
+        }
+
+        // Containers in append or prepend mode merge the server's items into
+        // the ones they already hold, instead of being morphed
+        if (Containers.merges(toEl)) {
+          Containers.merge(fromEl, toEl, {
+            morph: (item, toItem) => Morph.morph(item, toItem, rules),
+            added: (item) => Transitions.enter(item),
+            discard: (item) => {
+              if (Transitions.leave(item, removed => Hooks.destroyAll(removed))) {
+                item.remove()
+                Hooks.destroyAll(item)
+              }
+            },
+          })
+
           return false
         }
 
         return true
       },
+      added(node) {
+        Transitions.enter(node)
+      },
+      beforeRemove(node) {
+        return Transitions.leave(node, removed => Hooks.destroyAll(removed))
+      },
+      removed(node) {
+        Hooks.destroy(node)
+      },
       // Use stable keys for better morphing performance and state preservation
-      getNodeKey(node) {
+      key(node) {
         if (!node) {
           return
         }
 
+        const leavingKey = Transitions.key(node)
+
+        if (leavingKey) {
+          return leavingKey
+        }
+
         if (node.getAttribute) {
-          const liveKey = node.getAttribute('live-key')
+          const liveKey = node.getAttribute(Attributes.name('key'))
           const id = node.getAttribute('id') || node.id
 
           if (liveKey) {
@@ -590,7 +1259,45 @@ class Subscription {
           }
         }
       }
-    })
+    }
+
+    const patched = Boolean(changes) && Parts.patch(rootElement, changes, (fromEl, toEl) => Morph.morph(fromEl, toEl, rules))
+
+    if (!patched) {
+      const refreshDOM = build()
+
+      if (stillLoading) {
+        refreshDOM.setAttribute(Attributes.name('loading'), '')
+      }
+
+      Morph.morph(rootElement, refreshDOM, rules)
+    }
+
+    Focus.restore(focus, rootElement)
+    Scroll.restore(scroll, rootElement)
+
+    updated.forEach(element => Hooks.updated(element))
+
+    // Covers both inserted elements and existing ones morphed into gaining
+    // a live-hook attribute; elements already mounted are skipped
+    Hooks.mountAll(rootElement)
+
+    return patched
+  }
+
+  /**
+   * @param {Object|null} refresh - Refresh data from the server
+   * @returns {string} How many parts a refresh changed, for debug logging
+   * @private
+   */
+  #partCount(refresh) {
+    if (!refresh?.p) {
+      return 'cached render'
+    }
+
+    const changed = refresh.p.filter(part => part !== null).length
+
+    return `${changed} of ${refresh.p.length} parts`
   }
 
   #buildRefreshDOM(refresh) {
@@ -605,7 +1312,7 @@ class Subscription {
     DOM.mutate(rootNode)
 
     // Check for child components
-    rootNode.querySelectorAll('[live-id]').forEach(child => {
+    rootNode.querySelectorAll(Attributes.selector('id')).forEach(child => {
       DOM.mutate(child)
     })
 
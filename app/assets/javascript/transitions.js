@@ -0,0 +1,171 @@
+/**
+ * Enter and leave transitions for elements added and removed by morphs.
+ *
+ * `live-transition-enter` and `live-transition-leave` take the classes the
+ * element starts in and the classes it transitions to, either as two class
+ * names (`"opacity-0 opacity-100"`) or as two lists separated by an arrow
+ * (`"opacity-0 scale-95 -> opacity-100 scale-100"`):
+ *
+ * 1. the "from" classes are added
+ * 2. on the next frame they are swapped for the "to" classes, which starts
+ *    the CSS transition or animation
+ * 3. once it ends the "to" classes are removed - and for a leave
+ *    transition, the element with them
+ *
+ * The transition itself (duration, easing) comes from the element's CSS.
+ * With `prefers-reduced-motion` set, elements appear and disappear at once.
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+class Transitions {
+  /** @type {WeakMap<Element, string>} - Elements kept in the page until their leave transition ends, with their morph key */
+  #leaving = new WeakMap()
+  /** @type {number} - Last number used in a leaving element's key */
+  #lastKey = 0
+
+  /**
+   * Run an element's enter transition, if it has one.
+   * @param {Node} element - A node a morph just added
+   */
+  enter(element) {
+    const classes = this.#classes(element, Attributes.name('transition-enter'))
+
+    if (classes) {
+      this.#run(element, classes)
+    }
+  }
+
+  /**
+   * Run an element's leave transition, if it has one, removing the element
+   * once it ends.
+   *
+   * @param {Node} element - A node a morph is about to discard
+   * @param {function(Element)} [removed] - Called once a deferred removal happened
+   * @returns {boolean} Whether the element can be removed right away
+   */
+  leave(element, removed) {
+    if (this.#leaving.has(element)) {
+      return false
+    }
+
+    const classes = this.#classes(element, Attributes.name('transition-leave'))
+
+    if (!classes) {
+      return true
+    }
+
+    this.#leaving.set(element, `live-leaving-${++this.#lastKey}`)
+    this.#run(element, classes).then(() => {
+      element.remove()
+      removed?.(element)
+    })
+
+    return false
+  }
+
+  /**
+   * Whether an element is on its way out; morphs should leave it alone.
+   * @param {Node} element
+   * @returns {boolean}
+   */
+  isLeaving(element) {
+    return this.#leaving.has(element)
+  }
+
+  /**
+   * A key no rendered element has, for a leaving element. Morphs match
+   * unkeyed elements by position and tag, so without it a new element could
+   * be matched to the leaving one, and never be added.
+   *
+   * @param {Node} element
+   * @returns {string|null} null unless the element is leaving
+   */
+  key(element) {
+    return this.#leaving.get(element) ?? null
+  }
+
+  #classes(element, attribute) {
+    const value = element.getAttribute?.(attribute)
+
+    if (!value || this.#reducedMotion) {
+      return null
+    }
+
+    const [from, to = ''] = value.includes('->') ? value.split('->') : value.trim().split(/\s+/)
+
+    return { from: this.#classList(from), to: this.#classList(to) }
+  }
+
+  #classList(value) {
+    return value.trim().split(/\s+/).filter(Boolean)
+  }
+
+  get #reducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false
+  }
+
+  #run(element, { from, to }) {
+    element.classList.add(...from)
+
+    // Make the browser apply the "from" state before it's swapped out
+    void element.offsetWidth
+
+    return new Promise(resolve => {
+      requestAnimationFrame(() => {
+        element.classList.remove(...from)
+        element.classList.add(...to)
+
+        this.#afterTransition(element, () => {
+          element.classList.remove(...to)
+          resolve()
+        })
+      })
+    })
+  }
+
+  #afterTransition(element, done) {
+    const duration = this.#duration(element)
+
+    if (!duration) {
+      done()
+      return
+    }
+
+    let timeout
+
+    const finish = (event) => {
+      // Ignore the transitions of descendants
+      if (event && event.target !== element) {
+        return
+      }
+
+      clearTimeout(timeout)
+      element.removeEventListener('transitionend', finish)
+      element.removeEventListener('animationend', finish)
+      done()
+    }
+
+    element.addEventListener('transitionend', finish)
+    element.addEventListener('animationend', finish)
+
+    // In case no end event fires, e.g. the transitioned property didn't change
+    timeout = setTimeout(finish, duration + 50)
+  }
+
+  // Longest transition or animation on the element, delay included, in ms
+  #duration(element) {
+    const style = getComputedStyle(element)
+    const times = (value) => (value || '0s').split(',').map(time => {
+      const number = parseFloat(time) || 0
+      return time.trim().endsWith('ms') ? number : number * 1000
+    })
+    const longest = (durations, delays) => Math.max(...durations.map((duration, i) => duration + (delays[i] ?? 0)))
+
+    return Math.max(
+      longest(times(style.transitionDuration), times(style.transitionDelay)),
+      longest(times(style.animationDuration), times(style.animationDelay))
+    )
+  }
+}
+
+export default new Transitions()
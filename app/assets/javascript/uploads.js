@@ -0,0 +1,184 @@
+/**
+ * File uploads for LiveCable forms.
+ *
+ * Files can't travel in the URL encoded params of a `live-form` message, so
+ * they are sent ahead of it over the channel as `_upload` messages carrying
+ * base64 chunks, one chunk at a time. The form message then lists each
+ * file's field name and upload ref, and the server swaps those for the
+ * assembled files before calling the action.
+ *
+ * While files are being sent, each file input and its form get:
+ *
+ * - a `live-upload-progress` attribute holding the percentage sent so far
+ * - the same percentage in a `--live-upload-progress` CSS variable
+ *
+ * and each file input dispatches bubbling `live:upload-progress` events with
+ * `{ file, loaded, total, progress }` details.
+ */
+import Attributes from "@isometriks/live_cable/attributes"
+
+/** @type {number} - Refs only need to be unique per connection */
+let nextRef = 0
+
+export default class Uploads {
+  /** @type {number} - Bytes per chunk, before base64 encoding */
+  static CHUNK_SIZE = 64 * 1024
+
+  /** @type {function(Object, Element): Promise} */
+  #send
+  /** @type {Set<{canceled: boolean, refs: string[]}>} - Batches in progress */
+  #batches = new Set()
+
+  /**
+   * @param {function(Object, Element): Promise} send - Sends a single
+   *   message on behalf of an input, settling once the server answers it
+   */
+  constructor(send) {
+    this.#send = send
+  }
+
+  /**
+   * Remove the files from form data so the rest can be URL encoded. Empty
+   * file inputs are dropped.
+   *
+   * @param {FormData} formData
+   * @returns {Array<[string, File]>} Field name and file pairs
+   */
+  static extract(formData) {
+    const files = Array.from(formData.entries()).filter(([, value]) => value instanceof File)
+
+    files.forEach(([name]) => formData.delete(name))
+
+    // A file input with nothing selected still submits an empty, nameless file
+    return files.filter(([, file]) => file.name !== '' || file.size > 0)
+  }
+
+  /**
+   * Send a form's files.
+   *
+   * @param {HTMLFormElement} form
+   * @param {Array<[string, File]>} files - As returned by extract
+   * @returns {Promise<Array<[string, string]>>} Field name and upload ref
+   *   pairs for the form message. Rejects if the server answers a chunk with
+   *   an error, or with an error whose `canceled` is true after cancel().
+   */
+  async upload(form, files) {
+    const batch = { canceled: false, refs: [] }
+    const entries = files.map(([name, file]) => ({ name, file, input: this.#input(form, name) ?? form }))
+    const progress = new Map()
+
+    entries.forEach(({ file, input }) => {
+      new Set([input, form]).forEach(element => {
+        const total = (progress.get(element)?.total ?? 0) + file.size
+        progress.set(element, { loaded: 0, total })
+      })
+    })
+
+    this.#batches.add(batch)
+
+    try {
+      const refs = []
+
+      for (const entry of entries) {
+        refs.push([entry.name, await this.#uploadFile(batch, entry, (bytes) => {
+          // The form first, so it's up to date when the input's event fires
+          new Set([form, entry.input]).forEach(element => {
+            const state = progress.get(element)
+            state.loaded += bytes
+            this.#reportProgress(element, state, element === form ? null : entry.file)
+          })
+        })])
+      }
+
+      return refs
+    } finally {
+      this.#batches.delete(batch)
+
+      progress.forEach((_, element) => {
+        element.removeAttribute(Attributes.name('upload-progress'))
+        element.style?.removeProperty('--live-upload-progress')
+      })
+    }
+  }
+
+  /**
+   * Stop every upload in progress. Their promises reject once the chunk
+   * being sent has been answered, and the server discards what it received.
+   */
+  cancel() {
+    this.#batches.forEach(batch => {
+      batch.canceled = true
+    })
+  }
+
+  async #uploadFile(batch, { file, input }, advance) {
+    const ref = `upload-${++nextRef}`
+    let offset = 0
+
+    batch.refs.push(ref)
+
+    // Always at least one chunk, so empty files arrive too
+    do {
+      const chunk = file.slice(offset, offset + Uploads.CHUNK_SIZE)
+
+      await this.#send({
+        _action: '_upload',
+        ref,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        offset,
+        data: await this.#encode(chunk),
+      }, input)
+
+      if (batch.canceled) {
+        this.#discard(batch, input)
+      }
+
+      offset += chunk.size
+      advance(chunk.size)
+    } while (offset < file.size)
+
+    return ref
+  }
+
+  #discard(batch, input) {
+    batch.refs.forEach(ref => {
+      this.#send({ _action: '_upload_cancel', ref }, input)
+    })
+
+    const error = new Error('LiveCable: upload canceled')
+    error.canceled = true
+    throw error
+  }
+
+  async #encode(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    let binary = ''
+
+    // Spread in slices; a whole chunk would overflow the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+
+    return btoa(binary)
+  }
+
+  #input(form, name) {
+    return Array.from(form.elements ?? []).find(element => element.type === 'file' && element.name === name)
+  }
+
+  #reportProgress(element, { loaded, total }, file) {
+    const progress = total ? Math.floor(loaded / total * 100) : 100
+
+    element.setAttribute(Attributes.name('upload-progress'), progress)
+    element.style?.setProperty('--live-upload-progress', progress)
+
+    if (file) {
+      element.dispatchEvent(new CustomEvent('live:upload-progress', {
+        bubbles: true,
+        detail: { file, loaded, total, progress },
+      }))
+    }
+  }
+}
@@ -29,7 +29,14 @@ module LiveCableHelper
     ctx.render_part(index, &)
   end
 
-  def live(component, id:, **defaults)
+  # @param live_lazy [Boolean, Hash] Subscribe once the component scrolls
+  #   into view. Pass a Hash for more options:
+  #   - placeholder: partial rendered instead of the component on the initial
+  #     page, until it subscribes
+  #   - unsubscribe_after: seconds (or a Duration) out of view before the
+  #     component unsubscribes
+  #   Prefixed so it can't take the place of a default named `lazy`.
+  def live(component, id:, live_lazy: false, **defaults)
     unless component.is_a?(String)
       raise LiveCable::Error, '`live` helper only accepts string component names. Use render(component) directly if ' \
                               'you have a component instance.'
@@ -42,11 +49,28 @@ module LiveCableHelper
     component = render_context&.get_component(live_id) || LiveCable.instance_from_string(component, id)
     component.defaults = defaults
 
+    options = live_lazy.is_a?(Hash) ? live_lazy : {}
+    component.live_lazy = live_lazy_attribute(live_lazy, options)
+
+    # Only top-level components on the initial page; nested ones are
+    # rendered by their parent's connection
+    if options[:placeholder] && render_context.nil? && !component.live_connection
+      return component.render_placeholder(self, options[:placeholder])
+    end
+
     render(component)
   end
 
   private
 
+  # @return [String, nil]
+  def live_lazy_attribute(lazy, options)
+    return unless lazy
+
+    delay = options[:unsubscribe_after]
+    delay ? (delay.to_f * 1000).to_i.to_s : ''
+  end
+
   # @return [LiveCable::RenderContext, nil]
   def render_context
     context_stack.last
@@ -9,4 +9,18 @@ pin '@isometriks/live_cable/subscriptions', to: 'subscriptions.js'
 pin '@isometriks/live_cable/loading', to: 'loading.js'
 pin '@isometriks/live_cable/observer', to: 'observer.js'
 pin '@isometriks/live_cable/dom', to: 'dom.js'
+pin '@isometriks/live_cable/hooks', to: 'hooks.js'
+pin '@isometriks/live_cable/commands', to: 'commands.js'
+pin '@isometriks/live_cable/uploads', to: 'uploads.js'
+pin '@isometriks/live_cable/focus', to: 'focus.js'
+pin '@isometriks/live_cable/scroll', to: 'scroll.js'
+pin '@isometriks/live_cable/transitions', to: 'transitions.js'
+pin '@isometriks/live_cable/containers', to: 'containers.js'
+pin '@isometriks/live_cable/parts', to: 'parts.js'
+pin '@isometriks/live_cable/morph', to: 'morph.js'
+pin '@isometriks/live_cable/debug', to: 'debug.js'
+pin '@isometriks/live_cable/latency', to: 'latency.js'
+pin '@isometriks/live_cable/attributes', to: 'attributes.js'
+pin '@isometriks/live_cable/lazy', to: 'lazy.js'
+pin '@isometriks/live_cable/config', to: 'config.js'
 pin '@isometriks/live_cable', to: 'live_cable.js'
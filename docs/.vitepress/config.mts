@@ -25,6 +25,8 @@ export default defineConfig({
           { text: 'Actions & Events', link: '/guide/actions-events' },
           { text: 'Loading States', link: '/guide/loading-states' },
           { text: 'Server Events', link: '/guide/server-events' },
+          { text: 'JavaScript Hooks', link: '/guide/hooks' },
+          { text: 'Transitions', link: '/guide/transitions' },
           { text: 'Compound Components', link: '/guide/compound-components' },
           { text: 'Partial Rendering', link: '/guide/partial-rendering' },
           { text: 'Streaming', link: '/guide/streaming' },
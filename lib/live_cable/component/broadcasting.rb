@@ -18,7 +18,28 @@ module LiveCable
       # Sent when a received message didn't change any reactive variables,
       # so the client can clear its loading state without a re-render.
       def broadcast_ack
-        broadcast({ _ack: true })
+        broadcast(with_reply_ids({ _ack: true }))
+      end
+
+      # Sent in place of a render when an action or render raised. The client
+      # replaces the component with the error markup and unsubscribes.
+      def broadcast_error(html)
+        broadcast(with_reply_ids({ _error: html }))
+      end
+
+      # Record the ids of the message batch being processed. They are echoed
+      # back with whichever response answers the batch, so the client can
+      # settle the promises returned for those messages.
+      #
+      # @param ids [Array<Integer>]
+      def reply_to(ids)
+        @reply_ids = ids
+      end
+
+      # @return [Boolean] true while a batch with message ids has not been
+      #   answered yet
+      def reply_pending?
+        @reply_ids.present?
       end
 
       def broadcast_destroy
@@ -28,7 +49,7 @@ module LiveCable
 
       def broadcast_render
         run_callbacks :render do
-          data = { _refresh: render.as_json }
+          data = with_reply_ids({ _refresh: render.as_json })
 
           # Events ride along with the render so the client can fire them
           # after the DOM has been morphed
@@ -38,6 +59,16 @@ module LiveCable
           broadcast(data)
         end
       end
+
+      private
+
+      # Only the first response after #reply_to carries the ids
+      def with_reply_ids(data)
+        ids = @reply_ids
+        @reply_ids = nil
+
+        ids.present? ? data.merge(_ids: ids) : data
+      end
     end
   end
 end
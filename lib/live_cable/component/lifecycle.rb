@@ -40,6 +40,17 @@ module LiveCable
         @live_connection = nil
       end
 
+      # Called when the client reconnects to a component the server had to
+      # build afresh (after a dropped connection or a deploy), once for each
+      # live-form, with the values the user had entered. Live-reactive inputs
+      # are restored through their reactive variables beforehand. Override it
+      # to restore the form's state; the default does nothing, since the
+      # form's own action may have side effects.
+      #
+      # @param action [String] The form's live-form action
+      # @param params [ActionController::Parameters] The form's values
+      def recover_form(action, params); end
+
       def destroy
         broadcast_destroy
 
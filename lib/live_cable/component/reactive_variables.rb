@@ -10,6 +10,7 @@ module LiveCable
         class_attribute :reactive_variables, default: []
         class_attribute :shared_reactive_variables, default: []
         class_attribute :writable_reactive_variables, default: []
+        class_attribute :reactive_variable_types, default: {}
       end
 
       class_methods do
@@ -17,7 +18,11 @@ module LiveCable
           reactive_variables + shared_reactive_variables
         end
 
-        def reactive(variable, initial_value = nil, shared: false, writable: false)
+        # @param type [Symbol, nil] An ActiveModel type (:boolean, :integer,
+        #   :float, :decimal, :date...) that values written from the client are
+        #   cast to. Arrays, from multi-selects and checkbox groups, are cast
+        #   item by item.
+        def reactive(variable, initial_value = nil, shared: false, writable: false, type: nil)
           if shared
             self.shared_reactive_variables = (shared_reactive_variables || []).dup << variable
           else
@@ -28,6 +33,10 @@ module LiveCable
             self.writable_reactive_variables = (writable_reactive_variables || []).dup << variable
           end
 
+          if type
+            self.reactive_variable_types = reactive_variable_types.merge(variable => ActiveModel::Type.lookup(type))
+          end
+
           create_reactive_variables(variable, initial_value, shared: shared)
         end
 
@@ -46,6 +55,19 @@ module LiveCable
           @allowed_actions || []
         end
 
+        # Cast a value written from the client to the variable's type, if it
+        # was declared with one.
+        #
+        # @param variable [Symbol]
+        # @param value [Object]
+        # @return [Object]
+        def cast_reactive_value(variable, value)
+          type = reactive_variable_types[variable]
+          return value unless type
+
+          value.is_a?(Array) ? value.map { |item| type.cast(item) } : type.cast(value)
+        end
+
         private
 
         def create_reactive_variables(variable, initial_value, shared: false)
@@ -37,6 +37,26 @@ module LiveCable
         'component'
       end
 
+      # The live-lazy attribute value: "" to subscribe once the component
+      # scrolls into view, or milliseconds out of view before it unsubscribes.
+      # nil for components that subscribe right away.
+      #
+      # @return [String, nil]
+      attr_accessor :live_lazy
+
+      # Render a placeholder in place of a lazy component on the initial page.
+      # The component renders for real when it scrolls into view and
+      # subscribes. Like a component template, the partial needs a single
+      # root element, which gets the component's attributes.
+      #
+      # @param view_context [ActionView::Base]
+      # @param partial [String] Partial path, rendered with a `component` local
+      # @return [ActiveSupport::SafeBuffer]
+      def render_placeholder(view_context, partial)
+        html = view_context.render(partial:, locals: { component: self }).to_str
+        insert_root_attributes(html, view_context).html_safe
+      end
+
       def render_in(view_context)
         view, render_context = view_context.with_render_context(self) do
           result = view_context.render(template: to_partial_path, locals:)
@@ -150,14 +170,16 @@ module LiveCable
             '(could not find an opening tag in first part of rendered output)'
         end
 
+        prefix = LiveCable.configuration.attribute_prefix
         attributes = {
-          'live-id' => id,
-          'live-component' => self.class.component_string,
-          'live-actions' => self.class.allowed_actions.to_json,
+          "#{prefix}id" => id,
+          "#{prefix}component" => self.class.component_string,
+          "#{prefix}actions" => self.class.allowed_actions.to_json,
           'data-live-status-value' => subscribed? ? 'subscribed' : 'disconnected',
         }
 
-        attributes['live-defaults'] = defaults.to_json unless live_connection
+        attributes["#{prefix}defaults"] = defaults.to_json unless live_connection
+        attributes["#{prefix}lazy"] = live_lazy unless live_lazy.nil?
 
         html.insert(matches.end(1), " #{view_context.tag.attributes(attributes)}".html_safe)
         html
@@ -12,8 +12,31 @@ module LiveCable
     #   end
     attr_accessor :verbose_errors
 
+    # Largest file, in bytes, a live-form may upload. Set to nil to allow
+    # any size. Defaults to 10 MB.
+    attr_accessor :max_upload_size
+
+    # How many uploads a connection may have in progress at once. Set to nil
+    # for no limit. Defaults to 10.
+    attr_accessor :max_open_uploads
+
+    # Total size, in bytes, of the uploads a connection may have in progress
+    # at once. Set to nil for no limit. Defaults to 50 MB.
+    attr_accessor :max_open_upload_size
+
+    # Prefix of the attributes added to each component's root element
+    # (live-id, live-component...). Set it to "data-live-" for HTML
+    # validators, together with the same attributePrefix in the browser:
+    #
+    #   LiveCable.configure({ attributePrefix: "data-live-" })
+    attr_accessor :attribute_prefix
+
     def initialize
       @verbose_errors = !Rails.env.production?
+      @max_upload_size = 10 * 1024 * 1024
+      @max_open_uploads = 10
+      @max_open_upload_size = 50 * 1024 * 1024
+      @attribute_prefix = 'live-'
     end
   end
 
@@ -7,6 +7,7 @@ module LiveCable
     include Messaging
     include Broadcasting
     include ErrorHandling
+    include Uploads
 
     SHARED_CONTAINER = '_shared'
 
@@ -14,6 +15,7 @@ module LiveCable
       @request = request
       @containers = Hash.new { |hash, key| hash[key] = Container.new }
       @components = {}
+      @uploads = {}
     end
 
     private
@@ -26,5 +28,8 @@ module LiveCable
 
     # @return [Hash<String, Component>]
     attr_reader :components
+
+    # @return [Hash<String, Upload>] Uploads in progress, by "live_id/ref"
+    attr_reader :uploads
   end
 end
@@ -20,6 +20,7 @@ module LiveCable
         container&.cleanup
 
         components.delete(component.live_id)
+        discard_uploads(component)
 
         # Clean up shared container if no components remain
         cleanup_shared_container
@@ -33,7 +33,7 @@ module LiveCable
 
         # Broadcast the error - JS replaces the DOM and calls unsubscribe(),
         # which triggers LiveChannel#unsubscribed -> component.disconnect for server cleanup
-        component.broadcast(_error: html)
+        component.broadcast_error(html)
       end
     end
   end
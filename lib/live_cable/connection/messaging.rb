@@ -11,6 +11,8 @@ module LiveCable
 
         return unless data['messages'].present?
 
+        component.reply_to(data['messages'].filter_map { |message| message['_id'] })
+
         # An error broadcasts an _error, which is itself the batch's one
         # response - so a failed message must suppress the trailing _ack
         errored = false
@@ -20,16 +22,18 @@ module LiveCable
 
         rendered = broadcast_changeset
 
+        return if errored
+
         # Guarantee exactly one response per message batch so the client can
-        # clear its loading state even when nothing changed
-        component.broadcast_ack unless errored || rendered.include?(component)
+        # clear its loading state even when nothing changed. A component
+        # rendered inline by its parent sent no response of its own, so it
+        # still owes one when the batch is waiting on its message ids.
+        component.broadcast_ack if !rendered.include?(component) || component.reply_pending?
       end
 
       # @return [Boolean] true when the message was processed, false when an
       #   error was handled (and an _error broadcast in its place)
       def action(component, data)
-        params = parse_params(data)
-
         if data['_action']
           action = data['_action']&.to_sym
 
@@ -37,10 +41,23 @@ module LiveCable
             return reactive(component, data)
           end
 
+          if action == :_upload
+            return upload(component, data)
+          end
+
+          if action == :_upload_cancel
+            return cancel_upload(component, data)
+          end
+
+          if action == :_recover
+            return recover(component, data)
+          end
+
           unless component.class.allowed_actions.include?(action)
             raise LiveCable::Error, "Unauthorized action: #{action}"
           end
 
+          params = parse_params(component, data)
           method = component.method(action)
 
           if method.arity.positive?
@@ -58,11 +75,26 @@ module LiveCable
 
       # @return [Boolean] true when applied, false when an error was handled
       def reactive(component, data)
-        unless component.class.writable_reactive_variables.include?(data['name'].to_sym)
+        name = data['name'].to_sym
+
+        unless component.class.writable_reactive_variables.include?(name)
           raise LiveCable::Error, "Non-writable reactive variable: #{data['name']}"
         end
 
-        component.public_send("#{data['name']}=", data['value'])
+        component.public_send("#{name}=", component.class.cast_reactive_value(name, data['value']))
+
+        true
+      rescue StandardError => e
+        handle_error(component, e)
+        false
+      end
+
+      # Hand a live-form's values back to a component rebuilt after a
+      # reconnect, before the client shows its first render.
+      #
+      # @return [Boolean] true when applied, false when an error was handled
+      def recover(component, data)
+        component.recover_form(data['form'].to_s, parse_params(component, data))
 
         true
       rescue StandardError => e
@@ -86,14 +118,19 @@ module LiveCable
         @csrf_checker ||= LiveCable::CsrfChecker.new(request)
       end
 
-      def parse_params(data)
+      # Actions send their params as a JSON object, so numbers, booleans,
+      # arrays and nested hashes keep their types. Forms send a query string.
+      def parse_params(component, data)
         params = data['params'] || ''
+        files = uploaded_files(component, data['uploads'])
+
+        values = if params.is_a?(Hash)
+                   params.merge(ActionDispatch::ParamBuilder.from_pairs(files))
+                 else
+                   ActionDispatch::ParamBuilder.from_pairs(ActionDispatch::QueryParser.each_pair(params).to_a + files)
+                 end
 
-        ActionController::Parameters.new(
-          ActionDispatch::ParamBuilder.from_pairs(
-            ActionDispatch::QueryParser.each_pair(params)
-          )
-        )
+        ActionController::Parameters.new(values)
       end
     end
   end
@@ -0,0 +1,96 @@
+# frozen_string_literal: true
+
+module LiveCable
+  class Connection
+    module Uploads
+      extend ActiveSupport::Concern
+
+      # Receive one chunk of a file upload. The first chunk of a ref starts
+      # the upload, with the file's name, type and size.
+      #
+      # @return [Boolean] true when applied, false when an error was handled
+      def upload(component, data)
+        upload = uploads[upload_key(component, data['ref'])] ||= start_upload(component, data)
+
+        upload.append(Integer(data['offset']), data['data'].to_s)
+
+        true
+      rescue StandardError => e
+        discard_upload(component, data['ref'])
+        handle_error(component, e)
+        false
+      end
+
+      # @return [Boolean]
+      def cancel_upload(component, data)
+        discard_upload(component, data['ref'])
+
+        true
+      end
+
+      private
+
+      # @return [LiveCable::Upload]
+      def start_upload(component, data)
+        # Only a form submitted to one of the component's actions can use
+        # the files
+        if component.class.allowed_actions.empty?
+          raise LiveCable::Error, 'Unauthorized action: _upload'
+        end
+
+        size = Integer(data['size'])
+        check_open_uploads(size)
+
+        Upload.new(filename: data['name'].to_s, content_type: data['type'].to_s, size: size)
+      end
+
+      # Uploads are kept until their form is submitted or their component is
+      # removed, so the ones in progress are capped per connection
+      def check_open_uploads(size)
+        config = LiveCable.configuration
+        max = config.max_open_uploads
+
+        if max && uploads.size >= max
+          raise LiveCable::Error, "Too many uploads in progress, the maximum is #{max}"
+        end
+
+        max_size = config.max_open_upload_size
+        open_size = uploads.values.sum(&:size) + size
+
+        if max_size && open_size > max_size
+          raise LiveCable::Error, "Uploads in progress would exceed the maximum of #{max_size} bytes"
+        end
+      end
+
+      # Swap the upload refs a form message lists for the received files, as
+      # [param name, file] pairs to add to the form's own params
+      #
+      # @param refs [Array<Array(String, String)>, nil]
+      # @return [Array<Array(String, ActionDispatch::Http::UploadedFile)>]
+      def uploaded_files(component, refs)
+        Array(refs).map do |name, ref|
+          upload = uploads.delete(upload_key(component, ref))
+          raise LiveCable::Error, "Unknown upload: #{ref}" unless upload
+
+          [name, upload.to_uploaded_file]
+        end
+      end
+
+      def upload_key(component, ref)
+        "#{component.live_id}/#{ref}"
+      end
+
+      def discard_upload(component, ref)
+        uploads.delete(upload_key(component, ref))&.discard
+      end
+
+      def discard_uploads(component)
+        prefix = "#{component.live_id}/"
+
+        uploads.keys.select { |key| key.start_with?(prefix) }.each do |key|
+          uploads.delete(key).discard
+        end
+      end
+    end
+  end
+end
@@ -30,14 +30,27 @@ module LiveCable
       #
       # Params go through a query-string round trip, so values arrive as
       # ActionController::Parameters with string values - exactly like
-      # production.
+      # production. With typed: true they go through a JSON round trip
+      # instead, like live-value-*:json params and liveCableAction calls.
+      #
+      # Files are uploaded first, the way a live-form with file inputs sends
+      # them, and arrive as ActionDispatch::Http::UploadedFile params.
       #
       # @param action [Symbol, String] The action name
       # @param params [Hash] Parameters for the action
-      def perform(action, params = {})
+      # @param files [Hash] Param name => file (e.g. a Rack::Test::UploadedFile)
+      # @param typed [Boolean] Keep the types of the param values
+      def perform(action, params = {}, files: {}, typed: false)
+        uploads = files.each_with_index.map do |(name, file), index|
+          ref = "test-upload-#{index}"
+          upload(ref, file)
+          [name.to_s, ref]
+        end
+
         receive_message(
           '_action' => action.to_s,
-          'params' => ::Rack::Utils.build_nested_query(params)
+          'params' => typed ? JSON.parse(params.to_json) : ::Rack::Utils.build_nested_query(params),
+          'uploads' => uploads
         )
       end
 
@@ -128,6 +141,20 @@ module LiveCable
 
       private
 
+      def upload(ref, file)
+        content = file.read
+
+        receive_message(
+          '_action' => '_upload',
+          'ref' => ref,
+          'name' => file.original_filename,
+          'type' => file.content_type,
+          'size' => content.bytesize,
+          'offset' => 0,
+          'data' => ::Base64.strict_encode64(content)
+        )
+      end
+
       def receive_message(message)
         connection.receive(component, { 'messages' => [message] })
       end
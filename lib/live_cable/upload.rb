@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+require 'base64'
+require 'tempfile'
+
+module LiveCable
+  # A file sent by a live-form, received over the channel in base64 chunks.
+  # Chunks are written to a tempfile in order; once every byte has arrived
+  # the upload is handed to the form's action as an uploaded file, the same
+  # as a multipart form submission would be.
+  class Upload
+    # @return [String]
+    attr_reader :filename
+
+    # @return [String]
+    attr_reader :content_type
+
+    # @return [Integer] Declared size in bytes
+    attr_reader :size
+
+    # @return [Integer] Bytes received so far
+    attr_reader :received
+
+    def initialize(filename:, content_type:, size:)
+      max = LiveCable.configuration.max_upload_size
+
+      if max && size > max
+        raise LiveCable::Error, "Upload of #{size} bytes exceeds the maximum of #{max} bytes"
+      end
+
+      @filename = filename
+      @content_type = content_type
+      @size = size
+      @received = 0
+      @tempfile = Tempfile.new(['live_cable_upload', File.extname(filename)], binmode: true)
+    end
+
+    # @param offset [Integer] Byte offset the chunk starts at
+    # @param data [String] Base64 encoded chunk
+    def append(offset, data)
+      unless offset == received
+        raise LiveCable::Error, "Upload chunk out of order: expected offset #{received}, got #{offset}"
+      end
+
+      bytes = Base64.strict_decode64(data)
+
+      if received + bytes.bytesize > size
+        raise LiveCable::Error, "Upload of #{filename} is larger than its declared size"
+      end
+
+      @tempfile.write(bytes)
+      @received += bytes.bytesize
+    end
+
+    def complete?
+      received == size
+    end
+
+    # @return [ActionDispatch::Http::UploadedFile]
+    def to_uploaded_file
+      raise LiveCable::Error, "Upload of #{filename} is incomplete" unless complete?
+
+      @tempfile.rewind
+
+      ActionDispatch::Http::UploadedFile.new(
+        tempfile: @tempfile,
+        filename: filename,
+        type: content_type
+      )
+    end
+
+    # Delete the tempfile of an upload that won't be used
+    def discard
+      @tempfile.close!
+    end
+  end
+end
@@ -34,4 +34,6 @@ class HomeController < ApplicationController
   def render_component; end
   def loading; end
   def event_test; end
+  def lazy; end
+  def twice; end
 end
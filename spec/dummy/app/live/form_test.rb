@@ -6,8 +6,9 @@ module Live
     reactive :user_email, -> { 'john@example.com' }
     reactive :address_street, -> { '123 Main St' }
     reactive :address_city, -> { 'Anytown' }
+    reactive :attachment, -> { nil }
 
-    actions :update_form
+    actions :update_form, :attach
 
     def update_form(params)
       self.user_name = params[:user][:name] if params[:user]&.key?(:name)
@@ -18,5 +19,14 @@ module Live
         self.address_city = params[:user][:address_attributes][:city]
       end
     end
+
+    def recover_form(action, params)
+      update_form(params) if action == 'update_form'
+    end
+
+    def attach(params)
+      file = params[:attachment]
+      self.attachment = "#{file.original_filename} (#{file.content_type}): #{file.read}"
+    end
   end
 end
@@ -16,4 +16,6 @@ Dummy::Application.routes.draw do
   get '/render_component', to: 'home#render_component'
   get '/loading', to: 'home#loading'
   get '/event_test', to: 'home#event_test'
+  get '/lazy', to: 'home#lazy'
+  get '/twice', to: 'home#twice'
 end
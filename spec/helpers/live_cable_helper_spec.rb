@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe LiveCableHelper, type: :helper do
+  describe 'live' do
+    it 'renders a lazy component with live_lazy' do
+      html = helper.live('counter', id: 'helper-lazy', live_lazy: { unsubscribe_after: 30 })
+
+      expect(html).to include('live-lazy="30000"')
+    end
+
+    it 'passes a default named lazy on to the component' do
+      html = helper.live('counter', id: 'helper-default', lazy: true)
+
+      expect(html).not_to include('live-lazy')
+      expect(html).to include('&quot;lazy&quot;:true')
+    end
+  end
+end
@@ -21,6 +21,30 @@ RSpec.describe LiveCable::Configuration do
     end
   end
 
+  describe '#max_upload_size' do
+    it 'defaults to 10 MB' do
+      expect(described_class.new.max_upload_size).to eq(10 * 1024 * 1024)
+    end
+  end
+
+  describe '#max_open_uploads' do
+    it 'defaults to 10' do
+      expect(described_class.new.max_open_uploads).to eq(10)
+    end
+  end
+
+  describe '#max_open_upload_size' do
+    it 'defaults to 50 MB' do
+      expect(described_class.new.max_open_upload_size).to eq(50 * 1024 * 1024)
+    end
+  end
+
+  describe '#attribute_prefix' do
+    it 'defaults to live-' do
+      expect(described_class.new.attribute_prefix).to eq('live-')
+    end
+  end
+
   describe 'LiveCable.configure' do
     it 'yields the configuration' do
       LiveCable.configure do |config|
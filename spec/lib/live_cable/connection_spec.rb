@@ -14,6 +14,9 @@ RSpec.describe LiveCable::Connection do
       reactive :count, -> { 0 }
       reactive :visible, -> { true }
       reactive :name, -> { 'default' }, writable: true
+      reactive :notify, -> { false }, writable: true, type: :boolean
+      reactive :quantity, -> { 1 }, writable: true, type: :integer
+      reactive :sizes, -> { [] }, writable: true, type: :integer
 
       actions :increment, :toggle, :failing_action
 
@@ -182,6 +185,32 @@ RSpec.describe LiveCable::Connection do
       expect(component.name).to eq('alice')
     end
 
+    it 'casts reactive values to the declared type' do
+      connection.receive(component, {
+        'messages' => [
+          { '_action' => '_reactive', 'name' => 'notify', 'value' => 'true' },
+          { '_action' => '_reactive', 'name' => 'quantity', 'value' => '3' },
+          { '_action' => '_reactive', 'name' => 'sizes', 'value' => %w[1 2] },
+        ],
+      })
+
+      expect(component.notify).to be(true)
+      expect(component.quantity).to eq(3)
+      expect(component.sizes).to eq([1, 2])
+    end
+
+    it 'casts values that already have the declared type as they are' do
+      connection.receive(component, {
+        'messages' => [
+          { '_action' => '_reactive', 'name' => 'notify', 'value' => false },
+          { '_action' => '_reactive', 'name' => 'quantity', 'value' => nil },
+        ],
+      })
+
+      expect(component.notify).to be(false)
+      expect(component.quantity).to be_nil
+    end
+
     it 'handles unauthorized actions via error handler' do
       allow(Rails).to receive(:error).and_return(double(report: nil))
       allow(component).to receive(:rendered_children).and_return([])
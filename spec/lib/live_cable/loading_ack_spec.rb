@@ -50,4 +50,47 @@ RSpec.describe 'Loading state acknowledgements' do
     # The _error is the batch's one response - no trailing _ack
     expect(counter.broadcasts(:_ack)).to be_empty
   end
+  describe 'message ids' do
+    def receive_batch(component, *messages)
+      component.connection.receive(component.component, { 'messages' => messages })
+    end
+
+    it 'echoes the batch ids with the ack' do
+      counter = live_mount('counter')
+      counter.clear_broadcasts
+
+      receive_batch(counter, { '_action' => 'noop', '_id' => 1 }, { '_action' => 'noop', '_id' => 2 })
+
+      expect(counter.broadcasts(:_ack)).to eq([{ _ack: true, _ids: [1, 2] }])
+    end
+
+    it 'echoes the batch ids with the refresh' do
+      counter = live_mount('counter')
+      counter.clear_broadcasts
+
+      receive_batch(counter, { '_action' => 'increment', '_id' => 3 })
+
+      expect(counter.broadcasts(:_refresh).map { |broadcast| broadcast[:_ids] }).to eq([[3]])
+      expect(counter.broadcasts(:_ack)).to be_empty
+    end
+
+    it 'echoes the batch ids with the error' do
+      counter = live_mount('counter', raise_errors: false)
+      counter.clear_broadcasts
+
+      receive_batch(counter, { '_action' => 'missing_action', '_id' => 4 })
+
+      expect(counter.broadcasts(:_error).map { |broadcast| broadcast[:_ids] }).to eq([[4]])
+    end
+
+    it 'does not carry ids over to later server-pushed renders' do
+      counter = live_mount('counter')
+      receive_batch(counter, { '_action' => 'increment', '_id' => 5 })
+      counter.clear_broadcasts
+
+      counter.perform(:increment)
+
+      expect(counter.broadcasts(:_refresh).first).not_to have_key(:_ids)
+    end
+  end
 end
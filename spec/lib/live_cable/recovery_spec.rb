@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# After a reconnect the client sends the values of its live-forms as _recover
+# messages, so a component rebuilt from its defaults can restore them.
+RSpec.describe 'Form recovery' do
+  include LiveCable::Testing
+
+  def recover(component, form, params)
+    component.connection.receive(component.component, {
+      'messages' => [{ '_action' => '_recover', 'form' => form, 'params' => params, '_id' => 1 }],
+    })
+  end
+
+  it 'passes the form action and its params to recover_form' do
+    form = live_mount('form_test')
+    form.clear_broadcasts
+
+    recover(form, 'update_form', 'user[name]=Jane&user[email]=jane%40example.com')
+
+    expect(form.user_name).to eq('Jane')
+    expect(form.user_email).to eq('jane@example.com')
+    expect(form.broadcasts(:_refresh).last).to include(_ids: [1])
+  end
+
+  it 'acks when the component does not recover the form' do
+    counter = live_mount('counter')
+    counter.clear_broadcasts
+
+    recover(counter, 'anything', 'count=10')
+
+    expect(counter.count).to eq(0)
+    expect(counter.broadcasts(:_ack)).to eq([{ _ack: true, _ids: [1] }])
+  end
+
+  it 'never calls the form action itself' do
+    form = live_mount('form_test')
+
+    recover(form, 'attach', 'attachment=file')
+
+    expect(form.attachment).to be_nil
+  end
+end
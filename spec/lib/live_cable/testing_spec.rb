@@ -51,6 +51,18 @@ RSpec.describe LiveCable::Testing do
 
       expect(component.rendered_html).to include('live-id')
     end
+
+    it 'renders root attributes with the configured prefix' do
+      original = LiveCable.configuration.attribute_prefix
+      LiveCable.configure { |config| config.attribute_prefix = 'data-live-' }
+
+      component = live_mount('plain_erb')
+
+      expect(component.rendered_html).to include('data-live-id=', 'data-live-component=')
+      expect(component.rendered_html).not_to match(/\slive-id=/)
+    ensure
+      LiveCable.configure { |config| config.attribute_prefix = original }
+    end
   end
 
   describe 'perform' do
@@ -71,6 +83,15 @@ RSpec.describe LiveCable::Testing do
       expect(form.user_email).to eq('alice@example.com')
     end
 
+    it 'keeps the types of JSON params with typed: true' do
+      form = live_mount('form_test')
+
+      form.perform(:update_form, { user: { name: 42, email: nil } }, typed: true)
+
+      expect(form.user_name).to eq(42)
+      expect(form.user_email).to be_nil
+    end
+
     it 'supports nested params' do
       form = live_mount('form_test')
 
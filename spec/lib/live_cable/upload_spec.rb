@@ -0,0 +1,141 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'File uploads' do
+  include LiveCable::Testing
+
+  let(:file) { Rack::Test::UploadedFile.new(StringIO.new('hello world'), 'text/plain', original_filename: 'hello.txt') }
+
+  def chunk(form, ref, offset, data, size: 11)
+    form.connection.receive(form.component, {
+      'messages' => [{
+        '_action' => '_upload',
+        'ref' => ref,
+        'name' => 'hello.txt',
+        'type' => 'text/plain',
+        'size' => size,
+        'offset' => offset,
+        'data' => Base64.strict_encode64(data),
+      }],
+    })
+  end
+
+  def submit(form, uploads)
+    form.connection.receive(form.component, {
+      'messages' => [{ '_action' => 'attach', 'params' => '', 'uploads' => uploads }],
+    })
+  end
+
+  it 'passes uploaded files to the action as params' do
+    form = live_mount('form_test')
+
+    form.perform(:attach, {}, files: { attachment: file })
+
+    expect(form.attachment).to eq('hello.txt (text/plain): hello world')
+  end
+
+  it 'assembles chunks in order' do
+    form = live_mount('form_test')
+
+    chunk(form, 'ref-1', 0, 'hello ')
+    chunk(form, 'ref-1', 6, 'world')
+    submit(form, [%w[attachment ref-1]])
+
+    expect(form.attachment).to eq('hello.txt (text/plain): hello world')
+  end
+
+  it 'acks every chunk' do
+    form = live_mount('form_test')
+    form.clear_broadcasts
+
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    expect(form.broadcasts(:_ack)).to eq([{ _ack: true }])
+  end
+
+  it 'rejects chunks out of order' do
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    expect { chunk(form, 'ref-1', 0, 'world') }.to raise_error(LiveCable::Error, /out of order/)
+  end
+
+  it 'rejects chunks past the declared size' do
+    form = live_mount('form_test')
+
+    expect { chunk(form, 'ref-1', 0, 'hello world!') }.to raise_error(LiveCable::Error, /larger than its declared size/)
+  end
+
+  it 'rejects files over the configured maximum' do
+    original = LiveCable.configuration.max_upload_size
+    LiveCable.configure { |config| config.max_upload_size = 5 }
+    form = live_mount('form_test')
+
+    expect { chunk(form, 'ref-1', 0, 'hello ') }.to raise_error(LiveCable::Error, /exceeds the maximum/)
+  ensure
+    LiveCable.configure { |config| config.max_upload_size = original }
+  end
+
+  it 'rejects uploads to components without actions' do
+    badge = live_mount('badge')
+
+    expect { chunk(badge, 'ref-1', 0, 'hello ') }.to raise_error(LiveCable::Error, /Unauthorized action: _upload/)
+    expect(badge.connection.send(:uploads)).to be_empty
+  end
+
+  it 'rejects more uploads in progress than the configured maximum' do
+    original = LiveCable.configuration.max_open_uploads
+    LiveCable.configure { |config| config.max_open_uploads = 1 }
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    expect { chunk(form, 'ref-2', 0, 'hello ') }.to raise_error(LiveCable::Error, /Too many uploads in progress/)
+
+    # Chunks of the upload already in progress are still accepted
+    chunk(form, 'ref-1', 6, 'world')
+    submit(form, [%w[attachment ref-1]])
+
+    expect(form.attachment).to eq('hello.txt (text/plain): hello world')
+  ensure
+    LiveCable.configure { |config| config.max_open_uploads = original }
+  end
+
+  it 'rejects uploads in progress over the configured total size' do
+    original = LiveCable.configuration.max_open_upload_size
+    LiveCable.configure { |config| config.max_open_upload_size = 20 }
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    expect { chunk(form, 'ref-2', 0, 'hello ') }.to raise_error(LiveCable::Error, /would exceed the maximum of 20 bytes/)
+  ensure
+    LiveCable.configure { |config| config.max_open_upload_size = original }
+  end
+
+  it 'rejects incomplete uploads' do
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    expect { submit(form, [%w[attachment ref-1]]) }.to raise_error(LiveCable::Error, /incomplete/)
+  end
+
+  it 'forgets canceled uploads' do
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    form.connection.receive(form.component, {
+      'messages' => [{ '_action' => '_upload_cancel', 'ref' => 'ref-1' }],
+    })
+
+    expect { submit(form, [%w[attachment ref-1]]) }.to raise_error(LiveCable::Error, /Unknown upload/)
+  end
+
+  it 'discards uploads in progress when the component is removed' do
+    form = live_mount('form_test')
+    chunk(form, 'ref-1', 0, 'hello ')
+
+    form.connection.remove_component(form.component)
+
+    expect(form.connection.send(:uploads)).to be_empty
+  end
+end
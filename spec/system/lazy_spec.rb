@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'Lazy Component', type: :system, js: true do
+  before do
+    visit '/lazy'
+  end
+
+  it 'renders the placeholder until the component scrolls into view' do
+    expect(page).to have_selector('[data-testid="counter-placeholder"]')
+    expect(page).to have_no_selector('[data-testid="counter-value"]')
+  end
+
+  it 'subscribes and renders the component once it is visible' do
+    scroll_to find('[data-testid="lazy-component"]')
+
+    expect(page).to have_selector('[data-testid="counter-value"]', text: '0', wait: 5)
+    expect(page).to have_no_selector('[data-testid="counter-placeholder"]')
+
+    click_button 'increment-button'
+
+    expect(page).to have_selector('[data-testid="counter-value"]', text: '1', wait: 5)
+  end
+end
@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'Same Component Twice', type: :system, js: true do
+  before do
+    visit '/twice'
+  end
+
+  it 'updates both elements from either one' do
+    within('[data-testid="header"]') { click_button 'increment-button' }
+
+    expect(page).to have_selector('[data-testid="header"] [data-testid="counter-value"]', text: '1', wait: 5)
+    expect(page).to have_selector('[data-testid="sidebar"] [data-testid="counter-value"]', text: '1', wait: 5)
+
+    within('[data-testid="sidebar"]') { click_button 'increment-button' }
+
+    expect(page).to have_selector('[data-testid="header"] [data-testid="counter-value"]', text: '2', wait: 5)
+    expect(page).to have_selector('[data-testid="sidebar"] [data-testid="counter-value"]', text: '2', wait: 5)
+  end
+end
@@ -0,0 +1,28 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import Attributes from '../app/assets/javascript/attributes.js'
+
+describe('Attributes', () => {
+  afterEach(() => {
+    Attributes.prefix = 'live-'
+  })
+
+  it('uses the live- prefix by default', () => {
+    expect(Attributes.name('key')).toBe('live-key')
+    expect(Attributes.selector('key')).toBe('[live-key]')
+  })
+
+  it('uses a configured prefix', () => {
+    Attributes.prefix = 'data-live-'
+
+    expect(Attributes.prefix).toBe('data-live-')
+    expect(Attributes.name('key')).toBe('data-live-key')
+    expect(Attributes.selector('loading')).toBe('[data-live-loading]')
+  })
+
+  it('rejects prefixes that are not attribute names ending in a dash', () => {
+    expect(() => { Attributes.prefix = 'data-live' }).toThrow('LiveCable: "data-live" is not a valid attribute prefix')
+    expect(() => { Attributes.prefix = 'x live-' }).toThrow()
+    expect(() => { Attributes.prefix = null }).toThrow()
+    expect(Attributes.prefix).toBe('live-')
+  })
+})
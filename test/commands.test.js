@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import Commands from '../app/assets/javascript/commands.js'
+
+describe('Commands', () => {
+  let button
+  let menu
+
+  function run(commands, type = 'click') {
+    button.setAttribute('data-live-commands', commands)
+    Commands.run(button, new Event(type))
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '<button></button><ul id="menu" class="menu"></ul><input id="search">'
+    button = document.querySelector('button')
+    menu = document.querySelector('#menu')
+  })
+
+  describe('parse', () => {
+    it('splits events, arguments and selectors', () => {
+      expect(Commands.parse('click->add_class:open,shown:#menu hide')).toEqual([
+        { event: 'click', name: 'add_class', argument: 'open,shown', selector: '#menu' },
+        { event: null, name: 'hide', argument: null, selector: null },
+      ])
+    })
+
+    it('keeps colons inside selectors', () => {
+      expect(Commands.parse('hide:li:first-child')[0].selector).toBe('li:first-child')
+    })
+
+    it('rejects unknown commands', () => {
+      expect(() => Commands.parse('explode:#menu')).toThrow(/unknown live-js command/)
+    })
+  })
+
+  describe('run', () => {
+    it('shows, hides and toggles', () => {
+      run('hide:#menu')
+      expect(menu.hidden).toBe(true)
+
+      run('show:#menu')
+      expect(menu.hidden).toBe(false)
+
+      run('toggle:#menu')
+      expect(menu.hidden).toBe(true)
+    })
+
+    it('targets the element itself without a selector', () => {
+      run('add_class:active')
+
+      expect(button.classList.contains('active')).toBe(true)
+    })
+
+    it('adds, removes and toggles classes', () => {
+      run('add_class:open,shown:#menu')
+      expect(menu.className).toBe('menu open shown')
+
+      run('remove_class:shown:#menu')
+      expect(menu.className).toBe('menu open')
+
+      run('toggle_class:open:#menu')
+      expect(menu.className).toBe('menu')
+    })
+
+    it('sets and removes attributes', () => {
+      run('set_attribute:aria-expanded=true:#menu')
+      expect(menu.getAttribute('aria-expanded')).toBe('true')
+
+      run('remove_attribute:aria-expanded:#menu')
+      expect(menu.hasAttribute('aria-expanded')).toBe(false)
+    })
+
+    it('focuses elements', () => {
+      run('focus:#search')
+
+      expect(document.activeElement).toBe(document.querySelector('#search'))
+    })
+
+    it('dispatches bubbling events', () => {
+      const listener = vi.fn()
+      document.addEventListener('menu-opened', listener)
+
+      run('dispatch:menu-opened:#menu')
+
+      expect(listener).toHaveBeenCalledOnce()
+      document.removeEventListener('menu-opened', listener)
+    })
+
+    it('matches events with key filters and targets by their name', () => {
+      button.setAttribute('data-live-commands', 'click@window->hide:#menu keydown.escape->add_class:closed:#menu')
+
+      Commands.run(button, new Event('click'))
+      expect(menu.hidden).toBe(true)
+
+      Commands.run(button, new KeyboardEvent('keydown', { key: 'Escape' }))
+      expect(menu.classList.contains('closed')).toBe(true)
+    })
+
+    it('only runs the commands whose key filter the key matches', () => {
+      button.setAttribute('data-live-commands', 'keydown.esc->hide:#menu keydown.ctrl.s->add_class:saved:#menu keydown.up->add_class:up:#menu')
+
+      Commands.run(button, new KeyboardEvent('keydown', { key: 's', ctrlKey: true }))
+      expect(menu.classList.contains('saved')).toBe(true)
+      expect(menu.hidden).toBe(false)
+
+      Commands.run(button, new KeyboardEvent('keydown', { key: 'ArrowUp' }))
+      expect(menu.classList.contains('up')).toBe(true)
+      expect(menu.hidden).toBe(false)
+
+      Commands.run(button, new KeyboardEvent('keydown', { key: 'Escape' }))
+      expect(menu.hidden).toBe(true)
+    })
+
+    it('only runs the commands for the event that fired', () => {
+      run('click->hide:#menu mouseenter->add_class:hover:#menu', 'mouseenter')
+
+      expect(menu.hidden).toBe(false)
+      expect(menu.classList.contains('hover')).toBe(true)
+    })
+  })
+
+  describe('restore', () => {
+    it('re-applies command changes to the incoming HTML', () => {
+      run('add_class:open:#menu set_attribute:aria-expanded=true:#menu')
+      run('remove_class:menu:#menu')
+
+      const incoming = document.createElement('ul')
+      incoming.className = 'menu'
+      Commands.restore(menu, incoming)
+
+      expect(incoming.className).toBe('open')
+      expect(incoming.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('leaves elements without commands alone', () => {
+      const incoming = document.createElement('button')
+      incoming.className = 'server'
+
+      Commands.restore(button, incoming)
+
+      expect(incoming.className).toBe('server')
+    })
+  })
+})
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('@rails/actioncable', () => ({
+  createConsumer: vi.fn(() => ({ subscriptions: { create: vi.fn(() => ({})) } })),
+}))
+
+describe('LiveCable configuration', () => {
+  let LiveCable
+
+  beforeEach(async () => {
+    vi.resetModules()
+    document.head.innerHTML = ''
+    document.body.innerHTML = ''
+    LiveCable = (await import('../app/assets/javascript/config.js')).default
+  })
+
+  afterEach(() => {
+    LiveCable.observer.stop()
+  })
+
+  describe('configure', () => {
+    it('applies options to the modules they belong to', async () => {
+      const SubscriptionManager = (await import('../app/assets/javascript/subscriptions.js')).default
+      const Debug = (await import('../app/assets/javascript/debug.js')).default
+      const Latency = (await import('../app/assets/javascript/latency.js')).default
+
+      LiveCable.configure({ outboxTimeout: 5000, suspendHiddenAfter: 60000, debug: true, latency: 0 })
+
+      expect(SubscriptionManager.outboxTimeout).toBe(5000)
+      expect(SubscriptionManager.suspendHiddenAfter).toBe(60000)
+      expect(Debug.enabled).toBe(true)
+      expect(Latency.delay).toBe(0)
+      expect(LiveCable.debug).toBe(true)
+    })
+
+    it('turns suspending hidden tabs off with null or false', async () => {
+      const SubscriptionManager = (await import('../app/assets/javascript/subscriptions.js')).default
+
+      LiveCable.configure({ suspendHiddenAfter: 60000 })
+      LiveCable.configure({ suspendHiddenAfter: false })
+      expect(SubscriptionManager.suspendHiddenAfter).toBeNull()
+
+      LiveCable.configure({ suspendHiddenAfter: 60000 })
+      LiveCable.configure({ suspendHiddenAfter: null })
+      expect(SubscriptionManager.suspendHiddenAfter).toBeNull()
+
+      expect(() => LiveCable.configure({ suspendHiddenAfter: true })).toThrow('LiveCable: option "suspendHiddenAfter" must be a number')
+    })
+
+    it('uses the given morph adapter', async () => {
+      const Morph = (await import('../app/assets/javascript/morph.js')).default
+      const adapter = vi.fn()
+
+      LiveCable.configure({ morph: adapter })
+      Morph.morph(document.createElement('div'), document.createElement('div'), {})
+
+      expect(adapter).toHaveBeenCalled()
+    })
+
+    it('rejects unknown options', () => {
+      expect(() => LiveCable.configure({ autostart: false })).toThrow('LiveCable: unknown option "autostart"')
+    })
+
+    it('rejects values of the wrong type', () => {
+      expect(() => LiveCable.configure({ autoStart: 'no' })).toThrow('LiveCable: option "autoStart" must be a boolean')
+      expect(() => LiveCable.configure({ consumer: null })).toThrow('LiveCable: option "consumer" must be a object')
+      expect(() => LiveCable.configure({ outboxTimeout: -1 })).toThrow('LiveCable: option "outboxTimeout" must be 0 or more')
+    })
+
+    it('sets the attribute prefix before starting only', async () => {
+      const Attributes = (await import('../app/assets/javascript/attributes.js')).default
+
+      expect(() => LiveCable.configure({ attributePrefix: 'data-live' })).toThrow('LiveCable: option "attributePrefix" must end with a dash')
+
+      LiveCable.configure({ attributePrefix: 'data-live-' })
+      LiveCable.start()
+
+      expect(Attributes.name('id')).toBe('data-live-id')
+      expect(() => LiveCable.configure({ attributePrefix: 'live-' })).toThrow('LiveCable: option "attributePrefix" must be set before LiveCable starts')
+    })
+
+    it('applies nothing when an option is invalid', () => {
+      expect(() => LiveCable.configure({ autoStart: false, latency: 'slow' })).toThrow()
+      expect(LiveCable.autoStart).toBe(true)
+    })
+  })
+
+  describe('start', () => {
+    it('starts the observer once', () => {
+      const start = vi.spyOn(LiveCable.observer, 'start')
+
+      LiveCable.start()
+      LiveCable.start()
+
+      expect(LiveCable.started).toBe(true)
+      expect(start).toHaveBeenCalledOnce()
+    })
+
+    it('configures before starting', () => {
+      LiveCable.start({ turboCacheControl: false })
+
+      document.body.innerHTML = '<div data-controller="live"></div>'
+      document.dispatchEvent(new Event('turbo:load'))
+
+      expect(document.querySelector('meta[name="turbo-cache-control"]')).toBeNull()
+    })
+
+    it('keeps pages with components out of the Turbo cache', () => {
+      LiveCable.start()
+
+      document.body.innerHTML = '<div data-controller="live"></div>'
+      document.dispatchEvent(new Event('turbo:load'))
+
+      expect(document.querySelector('meta[name="turbo-cache-control"]').content).toBe('no-cache')
+    })
+
+    it('tells the subscriptions when the tab is hidden or shown', async () => {
+      const SubscriptionManager = (await import('../app/assets/javascript/subscriptions.js')).default
+      const visibilityChanged = vi.spyOn(SubscriptionManager, 'visibilityChanged')
+      const hidden = vi.spyOn(document, 'hidden', 'get').mockReturnValue(true)
+
+      LiveCable.start()
+      document.dispatchEvent(new Event('visibilitychange'))
+
+      expect(visibilityChanged).toHaveBeenCalledWith(true)
+      hidden.mockRestore()
+    })
+  })
+
+  describe('importing the package', () => {
+    it('starts LiveCable and exposes it on window', async () => {
+      await import('../app/assets/javascript/live_cable.js')
+
+      expect(window.LiveCable).toBe(LiveCable)
+      expect(LiveCable.started).toBe(true)
+    })
+
+    it('does not start with autoStart turned off', async () => {
+      LiveCable.configure({ autoStart: false })
+
+      await import('../app/assets/javascript/live_cable.js')
+
+      expect(LiveCable.started).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+const createConsumer = vi.fn(url => ({
+  url,
+  subscriptions: { create: vi.fn(() => ({ send: vi.fn(), unsubscribe: vi.fn() })) },
+}))
+
+vi.mock('@rails/actioncable', () => ({
+  createConsumer: (url) => createConsumer(url),
+  getConfig: (name) => document.querySelector(`meta[name="action-cable-${name}"]`)?.content,
+}))
+
+function buildController() {
+  const element = document.createElement('div')
+  document.body.appendChild(element)
+
+  return { element, statusValue: 'disconnected', finishLoading: vi.fn(), resetLoading: vi.fn() }
+}
+
+describe('SubscriptionManager consumer', () => {
+  let subscriptionManager
+
+  beforeEach(async () => {
+    vi.resetModules()
+    createConsumer.mockClear()
+    document.head.innerHTML = ''
+    subscriptionManager = (await import('../app/assets/javascript/subscriptions.js')).default
+  })
+
+  it('is created when the first component subscribes', () => {
+    expect(createConsumer).not.toHaveBeenCalled()
+
+    subscriptionManager.subscribe('room-1', 'chat', {}, buildController())
+    subscriptionManager.subscribe('room-2', 'chat', {}, buildController())
+
+    expect(createConsumer).toHaveBeenCalledOnce()
+    expect(createConsumer).toHaveBeenCalledWith(undefined)
+  })
+
+  it('can share an existing consumer', () => {
+    const consumer = { subscriptions: { create: vi.fn(() => ({})) } }
+
+    subscriptionManager.configureConsumer({ consumer })
+    subscriptionManager.subscribe('room-1', 'chat', {}, buildController())
+
+    expect(consumer.subscriptions.create).toHaveBeenCalled()
+    expect(createConsumer).not.toHaveBeenCalled()
+  })
+
+  it('connects to the given URL', () => {
+    subscriptionManager.configureConsumer({ url: 'wss://cable.example.com/cable' })
+
+    expect(subscriptionManager.consumer.url).toBe('wss://cable.example.com/cable')
+  })
+
+  it('adds connection params to the URL every time it connects', () => {
+    let token = 'first'
+    subscriptionManager.configureConsumer({ url: 'wss://cable.example.com/cable', params: () => ({ token }) })
+
+    const { url } = subscriptionManager.consumer
+    expect(url()).toBe('wss://cable.example.com/cable?token=first')
+
+    token = 'second'
+    expect(url()).toBe('wss://cable.example.com/cable?token=second')
+  })
+
+  it('adds connection params to the default URL', () => {
+    document.head.innerHTML = '<meta name="action-cable-url" content="wss://meta.example.com/cable">'
+    subscriptionManager.configureConsumer({ params: { token: 'abc' } })
+
+    expect(subscriptionManager.consumer.url()).toBe('wss://meta.example.com/cable?token=abc')
+  })
+
+  it('cannot be configured once created', () => {
+    subscriptionManager.subscribe('room-1', 'chat', {}, buildController())
+
+    expect(() => subscriptionManager.configureConsumer({ url: '/other' }))
+      .toThrow('LiveCable: the consumer must be configured before components subscribe')
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import Containers from '../app/assets/javascript/containers.js'
+
+function build(html) {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  return template.content.firstChild
+}
+
+function keys(container) {
+  return Array.from(container.children).map(item => item.getAttribute('live-key'))
+}
+
+describe('Containers', () => {
+  let container
+  let callbacks
+
+  beforeEach(() => {
+    container = build('<ul live-update="append"><li live-key="1">one</li><li live-key="2">two</li></ul>')
+    document.body.appendChild(container)
+
+    callbacks = {
+      morph: vi.fn((item, toItem) => { item.textContent = toItem.textContent }),
+      added: vi.fn(),
+      discard: vi.fn(item => item.remove()),
+    }
+  })
+
+  describe('merges', () => {
+    it('is true for append and prepend only', () => {
+      expect(Containers.merges(build('<ul live-update="append"></ul>'))).toBe(true)
+      expect(Containers.merges(build('<ul live-update="prepend"></ul>'))).toBe(true)
+      expect(Containers.merges(build('<ul live-update="replace"></ul>'))).toBe(false)
+      expect(Containers.merges(build('<ul></ul>'))).toBe(false)
+    })
+  })
+
+  describe('merge', () => {
+    it('appends new items and keeps the existing ones', () => {
+      Containers.merge(container, build('<ul live-update="append"><li live-key="3">three</li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['1', '2', '3'])
+      expect(callbacks.added).toHaveBeenCalledOnce()
+    })
+
+    it('prepends new items in the order they were rendered', () => {
+      Containers.merge(container, build('<ul live-update="prepend"><li live-key="4"></li><li live-key="3"></li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['4', '3', '1', '2'])
+    })
+
+    it('morphs items that are already there', () => {
+      Containers.merge(container, build('<ul live-update="append"><li live-key="1">uno</li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['1', '2'])
+      expect(container.firstChild.textContent).toBe('uno')
+    })
+
+    it('deletes items marked with live-delete', () => {
+      Containers.merge(container, build('<ul live-update="append"><li live-key="1" live-delete></li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['2'])
+    })
+
+    it('trims to the limit from the oldest end', () => {
+      Containers.merge(container, build('<ul live-update="append" live-update-limit="2"><li live-key="3"></li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['2', '3'])
+
+      Containers.merge(container, build('<ul live-update="prepend" live-update-limit="2"><li live-key="4"></li></ul>'), callbacks)
+
+      expect(keys(container)).toEqual(['4', '2'])
+    })
+
+    it('updates the container attributes', () => {
+      Containers.merge(container, build('<ul live-update="append" class="feed"></ul>'), callbacks)
+
+      expect(container.getAttribute('class')).toBe('feed')
+    })
+  })
+})
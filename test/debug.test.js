@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import Debug from '../app/assets/javascript/debug.js'
+
+describe('Debug', () => {
+  afterEach(() => {
+    Debug.enabled = null
+    document.head.innerHTML = ''
+    vi.restoreAllMocks()
+  })
+
+  describe('enabled', () => {
+    it('is off by default', () => {
+      expect(Debug.enabled).toBe(false)
+    })
+
+    it('follows the meta tag', () => {
+      document.head.innerHTML = '<meta name="live-cable-debug" content="true">'
+      expect(Debug.enabled).toBe(true)
+
+      document.head.innerHTML = '<meta name="live-cable-debug" content="false">'
+      Debug.enabled = null
+      expect(Debug.enabled).toBe(false)
+    })
+
+    it('reads the meta tag once', () => {
+      document.head.innerHTML = '<meta name="live-cable-debug" content="true">'
+      const querySelector = vi.spyOn(document, 'querySelector')
+
+      expect(Debug.enabled).toBe(true)
+      expect(Debug.enabled).toBe(true)
+
+      expect(querySelector).toHaveBeenCalledOnce()
+    })
+
+    it('can be set from code, overriding the meta tag', () => {
+      document.head.innerHTML = '<meta name="live-cable-debug" content="true">'
+
+      Debug.enabled = false
+      expect(Debug.enabled).toBe(false)
+
+      Debug.enabled = null
+      expect(Debug.enabled).toBe(true)
+    })
+  })
+
+  describe('log', () => {
+    it('logs with the component when enabled', () => {
+      const log = vi.spyOn(console, 'debug').mockImplementation(() => {})
+      const details = { _status: 'subscribed' }
+
+      Debug.enabled = true
+      Debug.log('chat/room-1', '← _status', details)
+
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('[LiveCable]%c chat/room-1 ← _status'), expect.any(String), '', details)
+    })
+
+    it('does nothing when disabled', () => {
+      const log = vi.spyOn(console, 'debug').mockImplementation(() => {})
+
+      Debug.log('chat/room-1', 'hello')
+
+      expect(log).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
 import DOM from '../app/assets/javascript/dom.js'
+import Attributes from '../app/assets/javascript/attributes.js'
 
 describe('DOM', () => {
   let element
@@ -43,6 +44,17 @@ describe('DOM', () => {
       })
     })
 
+    describe('live-lazy transformation', () => {
+      it('transforms live-lazy to data-live-lazy-value', () => {
+        element.setAttribute('live-lazy', '30000')
+        element.setAttribute('live-id', 'test-123')
+        DOM.mutate(element)
+
+        expect(element.getAttribute('data-live-lazy-value')).toBe('30000')
+        expect(element.hasAttribute('live-lazy')).toBe(false)
+      })
+    })
+
     describe('live-component transformation', () => {
       it('transforms live-component to data-live-component-value', () => {
         element.setAttribute('live-component', 'counter')
@@ -95,6 +107,58 @@ describe('DOM', () => {
         expect(button.getAttribute('data-action')).toBe('keydown->live#action_$search')
       })
 
+      it('translates key modifiers into a Stimulus key filter', () => {
+        const input = document.createElement('input')
+        input.setAttribute('live-action', 'keydown.enter->submit keydown.escape->close keydown.ctrl.s->save')
+        element.appendChild(input)
+
+        DOM.mutate(element)
+
+        expect(input.getAttribute('data-action')).toBe(
+          'keydown.enter->live#action_$submit keydown.esc->live#action_$close keydown.ctrl+s->live#action_$save'
+        )
+      })
+
+      it('keeps the global target after the key filter', () => {
+        const div = document.createElement('div')
+        div.setAttribute('live-action', 'keydown.meta.k@window->search')
+        element.appendChild(div)
+
+        DOM.mutate(element)
+
+        expect(div.getAttribute('data-action')).toBe('keydown.meta+k@window->live#action_$search')
+      })
+
+      it('passes action options through', () => {
+        const button = document.createElement('button')
+        button.setAttribute('live-action', 'click->track:once:stop')
+        element.appendChild(button)
+
+        DOM.mutate(element)
+
+        expect(button.getAttribute('data-action')).toBe('click->live#action_$track:once:stop')
+      })
+
+      it('listens on the window for click outside', () => {
+        const menu = document.createElement('div')
+        menu.setAttribute('live-action', 'click.outside->close')
+        element.appendChild(menu)
+
+        DOM.mutate(element)
+
+        expect(menu.getAttribute('data-action')).toBe('click@window->live#action_$close:outside')
+      })
+
+      it('puts the outside option before the form prevent option', () => {
+        const form = document.createElement('form')
+        form.setAttribute('live-form', 'focusout.outside->save')
+        element.appendChild(form)
+
+        DOM.mutate(element)
+
+        expect(form.getAttribute('data-action')).toBe('focusout@window->live#form_$save:outside:prevent')
+      })
+
       it('handles multiple space-separated actions', () => {
         const button = document.createElement('button')
         button.setAttribute('live-action', 'save reset')
@@ -141,7 +205,7 @@ describe('DOM', () => {
     })
 
     describe('live-value-* transformation', () => {
-      it('transforms live-value-* to data-live-*-param', () => {
+      it('transforms live-value-* to data-live-value-*-param', () => {
         const button = document.createElement('button')
         button.setAttribute('live-action', 'update')
         button.setAttribute('live-value-id', '123')
@@ -150,8 +214,8 @@ describe('DOM', () => {
 
         DOM.mutate(element)
 
-        expect(button.getAttribute('data-live-id-param')).toBe('123')
-        expect(button.getAttribute('data-live-status-param')).toBe('active')
+        expect(button.getAttribute('data-live-value-id-param')).toBe('123')
+        expect(button.getAttribute('data-live-value-status-param')).toBe('active')
         expect(button.hasAttribute('live-value-id')).toBe(false)
         expect(button.hasAttribute('live-value-status')).toBe(false)
       })
@@ -164,7 +228,7 @@ describe('DOM', () => {
 
         DOM.mutate(element)
 
-        expect(button.getAttribute('data-live-user-email-param')).toBe('test@example.com')
+        expect(button.getAttribute('data-live-value-user-email-param')).toBe('test@example.com')
       })
     })
 
@@ -194,6 +258,35 @@ describe('DOM', () => {
       })
     })
 
+    describe('live-throttle transformation', () => {
+      it('transforms live-throttle to data-live-throttle-param', () => {
+        const input = document.createElement('input')
+        input.setAttribute('live-reactive', '')
+        input.setAttribute('live-throttle', '100 leading')
+        element.appendChild(input)
+
+        DOM.mutate(element)
+
+        expect(input.getAttribute('data-live-throttle-param')).toBe('100 leading')
+        expect(input.hasAttribute('live-throttle')).toBe(false)
+      })
+
+      it('works with live-action and live-form', () => {
+        const button = document.createElement('button')
+        button.setAttribute('live-action', 'drag')
+        button.setAttribute('live-throttle', '50')
+        const form = document.createElement('form')
+        form.setAttribute('live-form', 'change->filter')
+        form.setAttribute('live-throttle', '200')
+        element.append(button, form)
+
+        DOM.mutate(element)
+
+        expect(button.getAttribute('data-live-throttle-param')).toBe('50')
+        expect(form.getAttribute('data-live-throttle-param')).toBe('200')
+      })
+    })
+
     describe('live-reactive transformation', () => {
       it('transforms live-reactive to data-action with reactive method', () => {
         const input = document.createElement('input')
@@ -227,6 +320,42 @@ describe('DOM', () => {
       })
     })
 
+    describe('live-js transformation', () => {
+      it('moves the commands to data-live-commands and adds one handler per event', () => {
+        const button = document.createElement('button')
+        button.setAttribute('live-js', 'click->toggle:#menu click->focus:#search mouseenter->show:#tip')
+        element.appendChild(button)
+
+        DOM.mutate(element)
+
+        expect(button.getAttribute('data-live-commands')).toBe('click->toggle:#menu click->focus:#search mouseenter->show:#tip')
+        expect(button.getAttribute('data-action')).toBe('click->live#js mouseenter->live#js')
+        expect(button.hasAttribute('live-js')).toBe(false)
+      })
+
+      it('uses the default event when none is given', () => {
+        const button = document.createElement('button')
+        button.setAttribute('live-js', 'toggle:#menu')
+        element.appendChild(button)
+
+        DOM.mutate(element)
+
+        expect(button.getAttribute('data-action')).toBe('live#js')
+      })
+
+      it('translates key filters, targets and click outside like live-action', () => {
+        const input = document.createElement('input')
+        input.setAttribute('live-js', 'keydown.escape->hide:#menu keydown.ctrl.k@window->focus click.outside->hide:#menu')
+        element.appendChild(input)
+
+        DOM.mutate(element)
+
+        expect(input.getAttribute('data-action')).toBe(
+          'keydown.esc->live#js keydown.ctrl+k@window->live#js click@window->live#js:outside'
+        )
+      })
+    })
+
     describe('complex scenarios', () => {
       it('handles complete component with all attributes', () => {
         element.setAttribute('live-id', 'counter-1')
@@ -250,7 +379,7 @@ describe('DOM', () => {
 
         // Check button
         expect(button.getAttribute('data-action')).toBe('live#action_$increment')
-        expect(button.getAttribute('data-live-amount-param')).toBe('5')
+        expect(button.getAttribute('data-live-value-amount-param')).toBe('5')
       })
 
       it('handles form with debounce and values', () => {
@@ -264,7 +393,7 @@ describe('DOM', () => {
 
         expect(form.getAttribute('data-action')).toBe('change->live#form_$filter:prevent')
         expect(form.getAttribute('data-live-debounce-param')).toBe('300')
-        expect(form.getAttribute('data-live-category-param')).toBe('electronics')
+        expect(form.getAttribute('data-live-value-category-param')).toBe('electronics')
       })
     })
   })
@@ -311,4 +440,78 @@ describe('DOM', () => {
       expect(button2.getAttribute('data-action')).toBe('live#action_$reset')
     })
   })
+
+  describe('reactive forms', () => {
+    it('listens for input events on forms and fieldsets', () => {
+      element.innerHTML = '<form live-reactive></form><fieldset live-reactive="change"></fieldset>'
+      DOM.mutate(element)
+
+      expect(element.querySelector('form').getAttribute('data-action')).toBe('input->live#reactive')
+      expect(element.querySelector('fieldset').getAttribute('data-action')).toBe('change->live#reactive')
+    })
+  })
+
+  describe('typed values', () => {
+    it('lists live-value-*:json params so they keep their types', () => {
+      element.innerHTML = `<button live-action="filter" live-value-page="2" live-value-sort-order:json='["name"]' live-value-filters:json='{"a":1}'>Go</button>`
+      DOM.mutate(element)
+
+      const button = element.querySelector('button')
+
+      expect(button.getAttribute('data-live-value-page-param')).toBe('2')
+      expect(button.getAttribute('data-live-value-sort-order-param')).toBe('["name"]')
+      expect(button.getAttribute('data-live-value-filters-param')).toBe('{"a":1}')
+      expect(button.getAttribute('data-live-json-param')).toBe('sort-order filters')
+      expect(button.hasAttribute('live-value-filters:json')).toBe(false)
+    })
+  })
+
+  describe('attribute prefix', () => {
+    beforeEach(() => {
+      Attributes.prefix = 'data-live-'
+    })
+
+    afterEach(() => {
+      Attributes.prefix = 'live-'
+    })
+
+    it('transforms attributes spelled with the configured prefix', () => {
+      element.innerHTML = `
+        <button data-live-action="click->save" data-live-value-id="1" data-live-debounce="200">Save</button>
+        <input data-live-reactive>
+        <button data-live-js="toggle:#menu">Menu</button>
+      `
+      element.setAttribute('data-live-id', 'test-123')
+      element.setAttribute('data-live-component', 'counter')
+      DOM.mutate(element)
+
+      const [save, menu] = element.querySelectorAll('button')
+
+      expect(element.getAttribute('data-live-id-value')).toBe('test-123')
+      expect(element.getAttribute('data-live-component-value')).toBe('counter')
+      expect(element.hasAttribute('data-live-id')).toBe(false)
+      expect(save.getAttribute('data-action')).toBe('click->live#action_$save')
+      expect(save.getAttribute('data-live-value-id-param')).toBe('1')
+      expect(save.getAttribute('data-live-debounce-param')).toBe('200')
+      expect(element.querySelector('input').getAttribute('data-action')).toBe('live#reactive')
+      expect(menu.getAttribute('data-live-commands')).toBe('toggle:#menu')
+      expect(menu.hasAttribute('data-live-js')).toBe(false)
+    })
+
+    it('leaves the default spelling alone', () => {
+      element.innerHTML = '<button live-action="save">Save</button>'
+      DOM.mutate(element)
+
+      expect(element.querySelector('button').hasAttribute('live-action')).toBe(true)
+      expect(element.querySelector('button').hasAttribute('data-action')).toBe(false)
+    })
+
+    it('transforms an element only once', () => {
+      element.innerHTML = '<button data-live-js="click->toggle:#menu">Menu</button>'
+      DOM.mutate(element)
+      DOM.mutate(element)
+
+      expect(element.querySelector('button').getAttribute('data-action')).toBe('click->live#js')
+    })
+  })
 })
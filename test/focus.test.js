@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import morphdom from 'morphdom'
+import { Idiomorph } from 'idiomorph'
+import Focus from '../app/assets/javascript/focus.js'
+import Morph from '../app/assets/javascript/morph.js'
+
+describe('Focus', () => {
+  let root
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    root.innerHTML = '<input id="q" name="q"><textarea name="body"></textarea><input type="checkbox" name="done">'
+    document.body.appendChild(root)
+  })
+
+  describe('capture', () => {
+    it('records the focused field and its selection', () => {
+      const input = root.querySelector('#q')
+      input.value = 'hello'
+      input.focus()
+      input.setSelectionRange(1, 3)
+
+      expect(Focus.capture(root)).toMatchObject({ element: input, selectionStart: 1, selectionEnd: 3 })
+    })
+
+    it('ignores focus outside of the root and on non-text fields', () => {
+      const outside = document.createElement('input')
+      document.body.appendChild(outside)
+      outside.focus()
+
+      expect(Focus.capture(root)).toBeNull()
+
+      root.querySelector('[type=checkbox]').focus()
+
+      expect(Focus.capture(root)).toBeNull()
+    })
+
+    it('ignores fields opted out with live-no-preserve', () => {
+      root.setAttribute('live-no-preserve', '')
+      root.querySelector('#q').focus()
+
+      expect(Focus.capture(root)).toBeNull()
+    })
+  })
+
+  describe('preserve', () => {
+    it('copies the focused value onto the new element', () => {
+      const textarea = root.querySelector('textarea')
+      textarea.value = 'draft'
+      textarea.focus()
+      const to = document.createElement('textarea')
+      to.value = 'server'
+
+      Focus.preserve(textarea, to)
+
+      expect(to.value).toBe('draft')
+    })
+
+    it.each([
+      ['morphdom', Morph.morphdom(morphdom)],
+      ['idiomorph', Morph.idiomorph(Idiomorph)],
+    ])('keeps the focused value of an input through %s', (_name, adapter) => {
+      const input = root.querySelector('#q')
+      input.value = 'hello'
+      input.focus()
+      const toEl = document.createElement('div')
+      toEl.innerHTML = '<input id="q" name="q"><textarea name="body"></textarea>'
+
+      adapter(root, toEl, {
+        beforeUpdate: (from, to) => {
+          Focus.preserve(from, to)
+          return true
+        },
+        added: () => {},
+        beforeRemove: () => true,
+        removed: () => {},
+        key: () => undefined,
+      })
+
+      expect(input.isConnected).toBe(true)
+      expect(input.value).toBe('hello')
+    })
+
+    it('copies the selected options of a focused select', () => {
+      root.innerHTML = '<select multiple><option value="a">A</option><option value="b">B</option><option value="c">C</option></select>'
+      const select = root.querySelector('select')
+      select.options[1].selected = true
+      select.options[2].selected = true
+      select.focus()
+      const to = document.createElement('select')
+      to.innerHTML = '<option value="a" selected>A</option><option value="b">B</option><option value="c">C</option>'
+
+      Focus.preserve(select, to)
+
+      expect(Array.from(to.options, (option) => option.hasAttribute('selected'))).toEqual([false, true, true])
+    })
+
+    it('leaves fields without focus alone', () => {
+      const input = root.querySelector('#q')
+      input.value = 'typed'
+      const to = document.createElement('input')
+      to.value = 'server'
+
+      Focus.preserve(input, to)
+
+      expect(to.value).toBe('server')
+    })
+  })
+
+  describe('restore', () => {
+    it('refocuses a replacement found by id', () => {
+      const input = root.querySelector('#q')
+      input.value = 'hello'
+      input.focus()
+      input.setSelectionRange(2, 2)
+      const state = Focus.capture(root)
+
+      const replacement = document.createElement('input')
+      replacement.id = 'q'
+      replacement.value = 'hello'
+      input.replaceWith(replacement)
+
+      Focus.restore(state, root)
+
+      expect(document.activeElement).toBe(replacement)
+      expect(replacement.selectionStart).toBe(2)
+    })
+
+    it('restores the scroll offset of a textarea', () => {
+      const textarea = root.querySelector('textarea')
+      textarea.focus()
+      textarea.scrollTop = 40
+      const state = Focus.capture(root)
+      textarea.scrollTop = 0
+
+      Focus.restore(state, root)
+
+      expect(textarea.scrollTop).toBe(40)
+    })
+  })
+})
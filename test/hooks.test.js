@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import Hooks from '../app/assets/javascript/hooks.js'
+
+describe('Hooks', () => {
+  let root
+  let calls
+
+  beforeEach(() => {
+    calls = []
+
+    Hooks.register('tracker', {
+      mounted() { calls.push(['mounted', this.el]) },
+      beforeUpdate() { calls.push(['beforeUpdate', this.el]) },
+      updated() { calls.push(['updated', this.el]) },
+      destroyed() { calls.push(['destroyed', this.el]) },
+    })
+
+    root = document.createElement('div')
+    document.body.appendChild(root)
+  })
+
+  describe('mountAll', () => {
+    it('mounts hooked elements including the root', () => {
+      root.setAttribute('live-hook', 'tracker')
+      root.innerHTML = '<span live-hook="tracker"></span><span></span>'
+
+      Hooks.mountAll(root)
+
+      expect(calls.map(([name]) => name)).toEqual(['mounted', 'mounted'])
+      expect(calls[0][1]).toBe(root)
+    })
+
+    it('mounts each element only once', () => {
+      root.innerHTML = '<span live-hook="tracker"></span>'
+
+      Hooks.mountAll(root)
+      Hooks.mountAll(root)
+
+      expect(calls).toHaveLength(1)
+    })
+
+    it('ignores unregistered hooks and detached elements', () => {
+      root.innerHTML = '<span live-hook="unknown"></span>'
+      const detached = document.createElement('span')
+      detached.setAttribute('live-hook', 'tracker')
+
+      Hooks.mountAll(root)
+      Hooks.mount(detached)
+
+      expect(calls).toHaveLength(0)
+    })
+  })
+
+  describe('register', () => {
+    it('mounts elements already in the page', () => {
+      root.innerHTML = '<span live-hook="late"></span>'
+      const mounted = vi.fn()
+
+      Hooks.register('late', { mounted })
+
+      expect(mounted).toHaveBeenCalledOnce()
+    })
+  })
+
+  describe('updates', () => {
+    it('notifies hooks when the element will change', () => {
+      root.innerHTML = '<span live-hook="tracker">old</span>'
+      const span = root.firstChild
+      Hooks.mountAll(root)
+
+      const to = span.cloneNode(false)
+      to.textContent = 'new'
+
+      expect(Hooks.beforeUpdate(span, to)).toBe(true)
+      Hooks.updated(span)
+
+      expect(calls.map(([name]) => name)).toEqual(['mounted', 'beforeUpdate', 'updated'])
+    })
+
+    it('skips elements the morph leaves unchanged', () => {
+      root.innerHTML = '<span live-hook="tracker">same</span>'
+      const span = root.firstChild
+      Hooks.mountAll(root)
+
+      expect(Hooks.beforeUpdate(span, span.cloneNode(true))).toBe(false)
+    })
+  })
+
+  describe('destroyAll', () => {
+    it('destroys mounted elements so they can be mounted again', () => {
+      root.innerHTML = '<span live-hook="tracker"></span>'
+      Hooks.mountAll(root)
+
+      Hooks.destroyAll(root)
+      Hooks.mountAll(root)
+
+      expect(calls.map(([name]) => name)).toEqual(['mounted', 'destroyed', 'mounted'])
+    })
+  })
+
+  describe('pushAction', () => {
+    it('dispatches a call event and returns the promise handed back', async () => {
+      let instance
+      Hooks.register('pusher', {
+        mounted() { instance = this },
+      })
+      root.innerHTML = '<span live-hook="pusher"></span>'
+
+      root.addEventListener('call', (event) => {
+        expect(event.detail).toEqual({ action: 'save', params: { id: 1 } })
+        event.detail.promise = Promise.resolve('done')
+      })
+
+      Hooks.mountAll(root)
+
+      await expect(instance.pushAction('save', { id: 1 })).resolves.toBe('done')
+    })
+
+    it('rejects outside of a live component', async () => {
+      let instance
+      Hooks.register('orphan', {
+        mounted() { instance = this },
+      })
+      root.innerHTML = '<span live-hook="orphan"></span>'
+      Hooks.mountAll(root)
+
+      await expect(instance.pushAction('save')).rejects.toThrow(/not pushed from inside/)
+    })
+  })
+})
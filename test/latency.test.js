@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import Latency from '../app/assets/javascript/latency.js'
+
+describe('Latency', () => {
+  afterEach(() => {
+    Latency.delay = 0
+    vi.useRealTimers()
+  })
+
+  describe('delay', () => {
+    it('is off by default', () => {
+      expect(Latency.delay).toBe(0)
+    })
+
+    it('is kept in sessionStorage', () => {
+      Latency.delay = 250
+
+      expect(sessionStorage.getItem('live-cable-latency')).toBe('250')
+
+      Latency.delay = 0
+
+      expect(sessionStorage.getItem('live-cable-latency')).toBeNull()
+    })
+
+    it('ignores values that are not positive numbers', () => {
+      Latency.delay = 'slow'
+      expect(Latency.delay).toBe(0)
+
+      Latency.delay = -10
+      expect(Latency.delay).toBe(0)
+    })
+  })
+
+  describe('run', () => {
+    it('runs callbacks right away without latency', () => {
+      const callback = vi.fn()
+
+      Latency.run(callback)
+
+      expect(callback).toHaveBeenCalled()
+    })
+
+    it('delays callbacks, keeping their order', () => {
+      vi.useFakeTimers()
+      const calls = []
+      Latency.delay = 100
+
+      Latency.run(() => calls.push('first'))
+      Latency.run(() => calls.push('second'))
+
+      vi.advanceTimersByTime(99)
+      expect(calls).toEqual([])
+
+      vi.advanceTimersByTime(1)
+      expect(calls).toEqual(['first', 'second'])
+    })
+  })
+})
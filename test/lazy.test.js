@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+// happy-dom doesn't lay anything out, so intersections are reported by hand
+const observers = []
+
+class FakeIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback
+    this.elements = new Set()
+    observers.push(this)
+  }
+
+  observe(element) {
+    this.elements.add(element)
+  }
+
+  unobserve(element) {
+    this.elements.delete(element)
+  }
+}
+
+vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver)
+
+const Lazy = (await import('../app/assets/javascript/lazy.js')).default
+
+function intersect(element, isIntersecting) {
+  observers.forEach(observer => {
+    if (observer.elements.has(element)) {
+      observer.callback([{ target: element, isIntersecting }])
+    }
+  })
+}
+
+describe('Lazy', () => {
+  let element
+  let enter
+  let leave
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    element = document.createElement('div')
+    document.body.appendChild(element)
+    enter = vi.fn()
+    leave = vi.fn()
+  })
+
+  afterEach(() => {
+    Lazy.unobserve(element)
+    vi.useRealTimers()
+  })
+
+  it('calls enter when the element comes into view', () => {
+    Lazy.observe(element, null, { enter, leave })
+    expect(enter).not.toHaveBeenCalled()
+
+    intersect(element, true)
+
+    expect(enter).toHaveBeenCalledOnce()
+  })
+
+  it('never calls leave without a delay', () => {
+    Lazy.observe(element, null, { enter, leave })
+
+    intersect(element, true)
+    intersect(element, false)
+    vi.advanceTimersByTime(60000)
+
+    expect(leave).not.toHaveBeenCalled()
+  })
+
+  it('calls leave once the element has been out of view for the delay', () => {
+    Lazy.observe(element, 1000, { enter, leave })
+
+    intersect(element, true)
+    intersect(element, false)
+    vi.advanceTimersByTime(999)
+    expect(leave).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(1)
+    expect(leave).toHaveBeenCalledOnce()
+  })
+
+  it('cancels leave when the element comes back in time', () => {
+    Lazy.observe(element, 1000, { enter, leave })
+
+    intersect(element, true)
+    intersect(element, false)
+    vi.advanceTimersByTime(500)
+    intersect(element, true)
+    vi.advanceTimersByTime(1000)
+
+    expect(leave).not.toHaveBeenCalled()
+    expect(enter).toHaveBeenCalledTimes(2)
+  })
+
+  it('stops watching unobserved elements', () => {
+    Lazy.observe(element, 1000, { enter, leave })
+    intersect(element, true)
+    intersect(element, false)
+
+    Lazy.unobserve(element)
+    intersect(element, true)
+    vi.advanceTimersByTime(1000)
+
+    expect(enter).toHaveBeenCalledOnce()
+    expect(leave).not.toHaveBeenCalled()
+  })
+
+  it('parses live-lazy values', () => {
+    expect(Lazy.delay('')).toBeNull()
+    expect(Lazy.delay('30000')).toBe(30000)
+    expect(Lazy.delay('soon')).toBeNull()
+  })
+})
@@ -0,0 +1,572 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+import { Application } from '@hotwired/stimulus'
+
+// Messages the controller hands to its subscription, instead of a socket
+const sent = []
+const subscriptions = []
+
+vi.mock('@isometriks/live_cable/subscriptions', () => ({
+  default: {
+    subscribe: (id, component, defaults) => {
+      const subscription = {
+        id,
+        defaults,
+        detach: vi.fn(),
+        send(payload, controller) {
+          subscription.controller = controller
+          sent.push(payload)
+          return Promise.resolve()
+        },
+      }
+      subscriptions.push(subscription)
+      return subscription
+    },
+  },
+}))
+
+// Lazy components, with the callbacks the controller gave them
+const lazy = new Map()
+
+vi.mock('@isometriks/live_cable/lazy', () => ({
+  default: {
+    observe: (element, delay, callbacks) => lazy.set(element, { delay, ...callbacks }),
+    unobserve: (element) => lazy.delete(element),
+    delay: (value) => (value === '' ? null : Number(value)),
+  },
+}))
+
+const LiveController = (await import('../app/assets/javascript/controllers/live_controller.js')).default
+const DOM = (await import('../app/assets/javascript/dom.js')).default
+
+function sentMessages() {
+  return sent.map(({ messages }) => messages)
+}
+
+describe('live controller', () => {
+  let application
+
+  beforeAll(() => {
+    application = Application.start()
+    application.register('live', LiveController)
+  })
+
+  beforeEach(async () => {
+    sent.length = 0
+    subscriptions.length = 0
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+
+    document.body.innerHTML = `
+      <div data-controller="live" data-live-id-value="mixer" data-live-component-value="mixer"
+           data-live-actions-value='["slide", "save", "close"]'>
+        <input type="range" name="volume" value="1"
+               data-action="input->live#action_$slide" data-live-value-level-param="1">
+        <input type="text" name="title" value="a" data-action="input->live#reactive">
+        <button data-action="live#action_$save">Save</button>
+      </div>
+      <p id="elsewhere">Elsewhere</p>
+    `
+
+    // Stimulus connects controllers from a MutationObserver
+    await Promise.resolve()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('subscription', () => {
+    it('sends messages as the controller that sent them', () => {
+      document.querySelector('button').click()
+
+      const element = document.querySelector('[data-controller]')
+      expect(subscriptions[0].controller.element).toBe(element)
+    })
+
+    it('detaches from the subscription when the element leaves the page', async () => {
+      document.querySelector('[data-controller]').remove()
+      await Promise.resolve()
+
+      expect(subscriptions[0].detach).toHaveBeenCalledOnce()
+    })
+
+    it('drops debounced and throttled sends pending when the element leaves the page', async () => {
+      const volume = document.querySelector('[name=volume]')
+      volume.setAttribute('data-live-throttle-param', '100')
+      volume.dispatchEvent(new Event('input', { bubbles: true }))
+      volume.dispatchEvent(new Event('input', { bubbles: true }))
+
+      const title = document.querySelector('[name=title]')
+      title.setAttribute('data-live-debounce-param', '200')
+      title.dispatchEvent(new Event('input', { bubbles: true }))
+
+      document.querySelector('[data-controller]').remove()
+      await Promise.resolve()
+      vi.advanceTimersByTime(200)
+
+      expect(sentMessages()).toEqual([[{ _action: 'slide', params: { level: '1' } }]])
+      expect(subscriptions).toHaveLength(1)
+    })
+  })
+
+  describe('uploads', () => {
+    it('cancels an upload without leaving the rejection unhandled', async () => {
+      const unhandled = vi.fn()
+      process.on('unhandledRejection', unhandled)
+
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', `
+        <form data-action="submit->live#form_$save:prevent">
+          <input type="file" name="attachment">
+        </form>
+        <button id="cancel" data-action="live#cancelUploads">Cancel</button>
+      `)
+      await Promise.resolve()
+
+      const transfer = new DataTransfer()
+      transfer.items.add(new File(['hello'], 'hello.txt', { type: 'text/plain' }))
+      const form = document.querySelector('form')
+      form.querySelector('input').files = transfer.files
+
+      form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+      document.querySelector('#cancel').click()
+
+      await new Promise(resolve => setImmediate(resolve))
+      await new Promise(resolve => setImmediate(resolve))
+      process.off('unhandledRejection', unhandled)
+
+      expect(sentMessages().flat().map(message => message._action)).toEqual(['_upload', '_upload_cancel'])
+      expect(unhandled).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('live-throttle', () => {
+    function slide(level) {
+      const input = document.querySelector('[name=volume]')
+      input.setAttribute('data-live-value-level-param', level)
+      input.dispatchEvent(new Event('input', { bubbles: true }))
+    }
+
+    function throttle(selector, value) {
+      document.querySelector(selector).setAttribute('data-live-throttle-param', value)
+    }
+
+    it('sends the first event at once and the last when the window closes', () => {
+      throttle('[name=volume]', '100')
+
+      slide(1)
+      slide(2)
+      slide(3)
+
+      expect(sentMessages()).toEqual([[{ _action: 'slide', params: { level: '1' } }]])
+
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()).toEqual([
+        [{ _action: 'slide', params: { level: '1' } }],
+        [{ _action: 'slide', params: { level: '3' } }],
+      ])
+    })
+
+    it('keeps throttling after the trailing send', () => {
+      throttle('[name=volume]', '100')
+
+      slide(1)
+      slide(2)
+      vi.advanceTimersByTime(100)
+      slide(3)
+
+      expect(sent).toHaveLength(2)
+
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()[2]).toEqual([{ _action: 'slide', params: { level: '3' } }])
+    })
+
+    it('drops the trailing send with the leading option', () => {
+      throttle('[name=volume]', '100 leading')
+
+      slide(1)
+      slide(2)
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()).toEqual([[{ _action: 'slide', params: { level: '1' } }]])
+    })
+
+    it('delays the first send with the trailing option', () => {
+      throttle('[name=volume]', '100 trailing')
+
+      slide(1)
+      expect(sent).toHaveLength(0)
+
+      slide(2)
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()).toEqual([[{ _action: 'slide', params: { level: '2' } }]])
+    })
+
+    it('flushes a pending message ahead of another action', () => {
+      throttle('[name=volume]', '100')
+
+      slide(1)
+      slide(2)
+      document.querySelector('button').click()
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()).toEqual([
+        [{ _action: 'slide', params: { level: '1' } }],
+        [{ _action: 'slide', params: { level: '2' } }, { _action: 'save', params: {} }],
+      ])
+    })
+
+    it('throttles reactive inputs', () => {
+      throttle('[name=title]', '100')
+      const input = document.querySelector('[name=title]')
+
+      input.dispatchEvent(new Event('input', { bubbles: true }))
+      input.value = 'abc'
+      input.dispatchEvent(new Event('input', { bubbles: true }))
+      vi.advanceTimersByTime(100)
+
+      expect(sentMessages()).toEqual([
+        [{ _action: '_reactive', name: 'title', value: 'a' }],
+        [{ _action: '_reactive', name: 'title', value: 'abc' }],
+      ])
+    })
+  })
+
+  describe('action params', () => {
+    it('sends live-value params as strings and :json params with their types', async () => {
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', `
+        <button id="filter" data-action="live#action_$save" data-live-value-page-param="2"
+                data-live-value-sort-order-param='["name", "asc"]' data-live-value-filters-param='{"tags": ["a"], "archived": false}'
+                data-live-json-param="sort-order filters">Filter</button>
+      `)
+      await Promise.resolve()
+
+      document.querySelector('#filter').click()
+
+      expect(sentMessages()).toEqual([[{
+        _action: 'save',
+        params: { page: '2', sort_order: ['name', 'asc'], filters: { tags: ['a'], archived: false } },
+      }]])
+    })
+
+    it('sends params named like the throttle and json settings to the server', async () => {
+      const element = document.querySelector('[data-controller]')
+      element.insertAdjacentHTML('beforeend', `
+        <button id="named" live-action="save" live-value-json="tags" live-value-throttle="fast" live-value-debounce="1">Save</button>
+      `)
+      DOM.mutate(element)
+      await Promise.resolve()
+
+      document.querySelector('#named').click()
+      document.querySelector('#named').click()
+
+      expect(sentMessages()).toEqual([
+        [{ _action: 'save', params: { json: 'tags', throttle: 'fast', debounce: '1' } }],
+        [{ _action: 'save', params: { json: 'tags', throttle: 'fast', debounce: '1' } }],
+      ])
+    })
+
+    it('keeps the types of params given to call events', () => {
+      const event = new CustomEvent('call', { bubbles: true, detail: { action: 'save', params: { id: 1, draft: true, tags: null } } })
+
+      document.querySelector('button').dispatchEvent(event)
+
+      expect(sentMessages()).toEqual([[{ _action: 'save', params: { id: 1, draft: true, tags: null } }]])
+    })
+  })
+
+  describe('reactive values', () => {
+    async function add(html) {
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', html)
+      await Promise.resolve()
+    }
+
+    function change(selector) {
+      document.querySelector(selector).dispatchEvent(new Event('change', { bubbles: true }))
+      return sentMessages().at(-1)[0].value
+    }
+
+    it('sends whether a checkbox is checked', async () => {
+      await add('<input type="checkbox" name="notify" value="yes" data-action="change->live#reactive">')
+
+      expect(change('[name=notify]')).toBe(false)
+
+      document.querySelector('[name=notify]').checked = true
+      expect(change('[name=notify]')).toBe(true)
+    })
+
+    it('sends the checked values of checkboxes sharing a name', async () => {
+      await add(`
+        <input type="checkbox" name="sizes" value="s" data-action="change->live#reactive" checked>
+        <input type="checkbox" name="sizes" value="m" data-action="change->live#reactive">
+        <input type="checkbox" name="sizes" value="l" data-action="change->live#reactive" checked>
+      `)
+
+      expect(change('[name=sizes][value=m]')).toEqual(['s', 'l'])
+    })
+
+    it('sends the checked value of a radio group', async () => {
+      await add(`
+        <input type="radio" name="plan" value="free" data-action="change->live#reactive">
+        <input type="radio" name="plan" value="pro" data-action="change->live#reactive" checked>
+      `)
+
+      expect(change('[name=plan][value=free]')).toBe('pro')
+    })
+
+    it('sends every selected option of a multi-select', async () => {
+      await add(`
+        <select name="tags" multiple data-action="change->live#reactive">
+          <option value="a" selected>A</option><option value="b">B</option><option value="c" selected>C</option>
+        </select>
+      `)
+
+      expect(change('[name=tags]')).toEqual(['a', 'c'])
+    })
+
+    it('sends numbers for number and range inputs', async () => {
+      await add(`
+        <input type="number" name="quantity" value="3" data-action="change->live#reactive">
+        <input type="range" name="level" value="7" data-action="change->live#reactive">
+      `)
+
+      expect(change('[name=quantity]')).toBe(3)
+      expect(change('[name=level]')).toBe(7)
+
+      document.querySelector('[name=quantity]').value = ''
+      expect(change('[name=quantity]')).toBeNull()
+    })
+
+    it('recovers a group with one message', async () => {
+      await add(`
+        <input type="radio" name="plan" value="free" data-action="change->live#reactive">
+        <input type="radio" name="plan" value="pro" data-action="change->live#reactive" checked>
+      `)
+
+      const controller = application.getControllerForElementAndIdentifier(
+        document.querySelector('[data-live-id-value="mixer"]'), 'live'
+      )
+
+      expect(controller.recoveryMessage().messages).toEqual([
+        { _action: '_reactive', name: 'title', value: 'a' },
+        { _action: '_reactive', name: 'plan', value: 'pro' },
+      ])
+    })
+  })
+
+  describe('reactive forms', () => {
+    async function addForm(attributes = '') {
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', `
+        <form id="settings" data-action="input->live#reactive" ${attributes}>
+          <input name="email" value="a@example.com">
+          <input type="checkbox" name="notify">
+          <input name="nickname" value="al" data-action="input->live#reactive">
+          <button name="commit" value="save">Save</button>
+        </form>
+      `)
+      await Promise.resolve()
+    }
+
+    function input(name, value) {
+      const field = document.querySelector(`#settings [name=${name}]`)
+      if (field.type === 'checkbox') field.checked = value
+      else field.value = value
+      field.dispatchEvent(new Event('input', { bubbles: true }))
+    }
+
+    it('sends the field that changed', async () => {
+      await addForm()
+
+      input('email', 'b@example.com')
+
+      expect(sentMessages()).toEqual([[{ _action: '_reactive', name: 'email', value: 'b@example.com' }]])
+    })
+
+    it('batches the changed fields after the form\'s debounce', async () => {
+      await addForm('data-live-debounce-param="200"')
+
+      input('email', 'b@example.com')
+      input('notify', true)
+      input('email', 'c@example.com')
+      expect(sent).toHaveLength(0)
+
+      vi.advanceTimersByTime(200)
+
+      expect(sentMessages()).toEqual([[
+        { _action: '_reactive', name: 'email', value: 'c@example.com' },
+        { _action: '_reactive', name: 'notify', value: true },
+      ]])
+    })
+
+    it('sends only fields changed since the last update', async () => {
+      await addForm('data-live-debounce-param="200"')
+
+      input('email', 'b@example.com')
+      vi.advanceTimersByTime(200)
+      input('notify', true)
+      vi.advanceTimersByTime(200)
+
+      expect(sentMessages()[1]).toEqual([{ _action: '_reactive', name: 'notify', value: true }])
+    })
+
+    it('flushes pending fields ahead of an action', async () => {
+      await addForm('data-live-debounce-param="200"')
+
+      input('email', 'b@example.com')
+      document.querySelector('[data-action="live#action_$save"]').click()
+
+      expect(sentMessages()).toEqual([[
+        { _action: '_reactive', name: 'email', value: 'b@example.com' },
+        { _action: 'save', params: {} },
+      ]])
+      vi.advanceTimersByTime(200)
+      expect(sent).toHaveLength(1)
+    })
+
+    it('leaves fields with their own live-reactive to themselves', async () => {
+      await addForm()
+
+      input('nickname', 'bob')
+
+      expect(sentMessages()).toEqual([[{ _action: '_reactive', name: 'nickname', value: 'bob' }]])
+    })
+
+    it('recovers every field of the form', async () => {
+      await addForm()
+
+      const controller = application.getControllerForElementAndIdentifier(
+        document.querySelector('[data-live-id-value="mixer"]'), 'live'
+      )
+
+      expect(controller.recoveryMessage().messages).toEqual([
+        { _action: '_reactive', name: 'title', value: 'a' },
+        { _action: '_reactive', name: 'email', value: 'a@example.com' },
+        { _action: '_reactive', name: 'notify', value: false },
+        { _action: '_reactive', name: 'nickname', value: 'al' },
+      ])
+    })
+  })
+
+  describe('live-lazy', () => {
+    async function addLazy(value = '') {
+      document.body.insertAdjacentHTML('beforeend', `
+        <div id="lazy" data-controller="live" data-live-id-value="card" data-live-component-value="card"
+             data-live-actions-value='["save"]' data-live-defaults-value='{"page":2}' data-live-lazy-value="${value}">
+          <button data-action="live#action_$save">Save</button>
+        </div>
+      `)
+      await Promise.resolve()
+
+      return document.querySelector('#lazy')
+    }
+
+    function subscriptionsFor(id) {
+      return subscriptions.filter(subscription => subscription.id === id)
+    }
+
+    it('subscribes once the component comes into view', async () => {
+      const element = await addLazy()
+      expect(subscriptionsFor('card')).toHaveLength(0)
+
+      lazy.get(element).enter()
+      lazy.get(element).enter()
+
+      expect(subscriptionsFor('card')).toHaveLength(1)
+    })
+
+    it('subscribes when it sends a message before coming into view', async () => {
+      await addLazy()
+
+      document.querySelector('#lazy button').click()
+
+      expect(subscriptionsFor('card')).toHaveLength(1)
+      expect(sentMessages()).toEqual([[{ _action: 'save', params: {} }]])
+    })
+
+    it('unsubscribes after being out of view, and subscribes again with its defaults', async () => {
+      const element = await addLazy('30000')
+      expect(lazy.get(element).delay).toBe(30000)
+
+      lazy.get(element).enter()
+      element.removeAttribute('data-live-defaults-value')
+      lazy.get(element).leave()
+
+      expect(subscriptionsFor('card')[0].detach).toHaveBeenCalled()
+      expect(element.getAttribute('data-live-status-value')).toBe('disconnected')
+
+      lazy.get(element).enter()
+
+      expect(subscriptionsFor('card')).toHaveLength(2)
+      expect(subscriptionsFor('card')[1].defaults).toEqual({ page: 2 })
+    })
+
+    it('stops watching when the controller disconnects', async () => {
+      const element = await addLazy()
+
+      element.remove()
+      await Promise.resolve()
+
+      expect(lazy.has(element)).toBe(false)
+    })
+  })
+
+  describe('click outside', () => {
+    it('only fires for clicks outside of the element', async () => {
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', `
+        <div id="menu" data-action="click@window->live#action_$close:outside"><a>Item</a></div>
+      `)
+      await Promise.resolve()
+
+      document.querySelector('#menu a').click()
+      expect(sent).toHaveLength(0)
+
+      document.querySelector('#elsewhere').click()
+      expect(sentMessages()).toEqual([[{ _action: 'close', params: {} }]])
+    })
+
+    it('registers the action option with the controller, not on every connect', async () => {
+      const registerActionOption = vi.spyOn(application, 'registerActionOption')
+
+      document.body.insertAdjacentHTML('beforeend', `
+        <div data-controller="live" data-live-id-value="other" data-live-component-value="other"></div>
+      `)
+      await Promise.resolve()
+
+      expect(registerActionOption).not.toHaveBeenCalled()
+      registerActionOption.mockRestore()
+    })
+  })
+
+  describe('recoveryMessage', () => {
+    it('collects reactive inputs and live-forms of the component only', async () => {
+      document.querySelector('[data-controller]').insertAdjacentHTML('beforeend', `
+        <form data-action="live#form_$save:prevent change->live#form_$preview:prevent">
+          <input name="note" value="draft">
+        </form>
+        <div data-controller="live" data-live-id-value="nested" data-live-component-value="nested">
+          <input name="nested" value="x" data-action="input->live#reactive">
+        </div>
+      `)
+      await Promise.resolve()
+
+      const controller = application.getControllerForElementAndIdentifier(
+        document.querySelector('[data-live-id-value="mixer"]'), 'live'
+      )
+
+      expect(controller.recoveryMessage().messages).toEqual([
+        { _action: '_reactive', name: 'title', value: 'a' },
+        { _action: '_recover', form: 'save', params: 'note=draft' },
+      ])
+    })
+
+    it('returns nothing without values to recover', async () => {
+      document.body.innerHTML = '<div data-controller="live" data-live-id-value="empty" data-live-component-value="empty"></div>'
+      await Promise.resolve()
+
+      const controller = application.getControllerForElementAndIdentifier(document.body.firstChild, 'live')
+
+      expect(controller.recoveryMessage()).toBeNull()
+    })
+  })
+})
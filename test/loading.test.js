@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import LoadingState from '../app/assets/javascript/loading.js'
+import Attributes from '../app/assets/javascript/attributes.js'
 
 describe('LoadingState', () => {
   let root
@@ -34,6 +35,19 @@ describe('LoadingState', () => {
       expect(root.hasAttribute('live-loading')).toBe(true)
     })
 
+    it('uses the configured attribute prefix', () => {
+      Attributes.prefix = 'data-live-'
+
+      try {
+        loading.start()
+
+        expect(root.hasAttribute('data-live-loading')).toBe(true)
+        expect(root.hasAttribute('live-loading')).toBe(false)
+      } finally {
+        Attributes.prefix = 'live-'
+      }
+    })
+
     it('ignores non-element triggers', () => {
       expect(() => loading.start(null)).not.toThrow()
       expect(() => loading.start('not-an-element')).not.toThrow()
@@ -158,6 +172,14 @@ describe('LoadingState', () => {
       expect(button.textContent).toBe('Go')
     })
 
+    it('counts the messages in flight', () => {
+      loading.start()
+      loading.start()
+      loading.finish()
+
+      expect(loading.inFlight).toBe(1)
+    })
+
     it('is a no-op when nothing is in flight', () => {
       expect(loading.finish()).toBe(false)
       expect(root.hasAttribute('live-loading')).toBe(false)
@@ -0,0 +1,145 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import morphdom from 'morphdom'
+import { Idiomorph } from 'idiomorph'
+import Morph from '../app/assets/javascript/morph.js'
+import Focus from '../app/assets/javascript/focus.js'
+
+function build(html) {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  return template.content.firstChild
+}
+
+function buildRules(overrides = {}) {
+  return {
+    beforeUpdate: vi.fn(() => true),
+    added: vi.fn(),
+    beforeRemove: vi.fn(() => true),
+    removed: vi.fn(),
+    key: vi.fn(node => node.getAttribute?.('live-key') || node.id || undefined),
+    ...overrides,
+  }
+}
+
+describe('Morph', () => {
+  afterEach(() => {
+    Morph.use(Morph.morphdom(morphdom))
+  })
+
+  describe('use', () => {
+    it('morphs with the given adapter', () => {
+      const adapter = vi.fn()
+      const [fromEl, toEl, rules] = [build('<div></div>'), build('<div></div>'), buildRules()]
+
+      Morph.use(adapter)
+      Morph.morph(fromEl, toEl, rules)
+
+      expect(adapter).toHaveBeenCalledWith(fromEl, toEl, rules)
+    })
+
+    it('rejects adapters that are not functions', () => {
+      expect(() => Morph.use({})).toThrow('LiveCable: a morph adapter must be a function')
+    })
+  })
+
+  describe('morphdom', () => {
+    it('follows the rules', () => {
+      const fromEl = build('<ul><li live-key="a">a</li><li live-key="b" class="keep">b</li></ul>')
+      const kept = fromEl.querySelector('.keep')
+      const rules = buildRules({
+        beforeUpdate: vi.fn(from => !from.classList?.contains('keep')),
+      })
+
+      Morph.morph(fromEl, build('<ul><li live-key="b">B</li><li live-key="c">c</li></ul>'), rules)
+
+      expect(fromEl.firstChild).toBe(kept)
+      expect(kept.textContent).toBe('b')
+      expect(rules.added).toHaveBeenCalledWith(fromEl.lastChild)
+      expect(rules.removed).toHaveBeenCalled()
+      expect(rules.key).toHaveBeenCalled()
+    })
+
+    it('keeps nodes the rules hold on to', () => {
+      const fromEl = build('<div><p>old</p></div>')
+
+      Morph.morph(fromEl, build('<div></div>'), buildRules({ beforeRemove: () => false }))
+
+      expect(fromEl.innerHTML).toBe('<p>old</p>')
+    })
+  })
+
+  describe('idiomorph', () => {
+    it('passes the rules on as idiomorph callbacks', () => {
+      const Idiomorph = { morph: vi.fn() }
+      const rules = buildRules()
+      const [fromEl, toEl] = [build('<div></div>'), build('<div></div>')]
+
+      Morph.use(Morph.idiomorph(Idiomorph))
+      Morph.morph(fromEl, toEl, rules)
+
+      const [from, to, { morphStyle, callbacks }] = Idiomorph.morph.mock.calls[0]
+      const node = document.createElement('p')
+
+      expect([from, to, morphStyle]).toEqual([fromEl, toEl, 'outerHTML'])
+
+      callbacks.beforeNodeMorphed(fromEl, toEl)
+      callbacks.afterNodeAdded(node)
+      callbacks.beforeNodeRemoved(node)
+      callbacks.afterNodeRemoved(node)
+
+      expect(rules.beforeUpdate).toHaveBeenCalledWith(fromEl, toEl)
+      expect(rules.added).toHaveBeenCalledWith(node)
+      expect(rules.beforeRemove).toHaveBeenCalledWith(node)
+      expect(rules.removed).toHaveBeenCalledWith(node)
+    })
+
+    it('keeps the value of the focused input when the rules preserve it', () => {
+      const fromEl = build('<form><input name="q" value="server"><span>1</span></form>')
+      document.body.appendChild(fromEl)
+      const input = fromEl.querySelector('input')
+      input.focus()
+      input.value = 'hello'
+      const rules = buildRules({
+        beforeUpdate: (from, to) => {
+          Focus.preserve(from, to)
+          return true
+        },
+      })
+
+      Morph.use(Morph.idiomorph(Idiomorph))
+      Morph.morph(fromEl, build('<form><input name="q"><span>2</span></form>'), rules)
+
+      expect(input.value).toBe('hello')
+      expect(fromEl.textContent).toBe('2')
+
+      Morph.morph(fromEl, build('<form><input name="q" live-force><span>3</span></form>'), rules)
+
+      expect(input.value).toBe('')
+      fromEl.remove()
+    })
+
+    it('matches elements by live-key', () => {
+      const fromEl = build('<ul><li live-key="a">a</li><li live-key="b">b</li></ul>')
+      const [a, b] = fromEl.children
+
+      Morph.use(Morph.idiomorph(Idiomorph))
+      Morph.morph(fromEl, build('<ul><li live-key="b">B</li><li live-key="c">c</li><li live-key="a">A</li></ul>'), buildRules())
+
+      expect(fromEl.children[0]).toBe(b)
+      expect(fromEl.children[2]).toBe(a)
+      expect(fromEl.textContent).toBe('BcA')
+      expect(fromEl.querySelector('[id]')).toBeNull()
+    })
+
+    it('reports every node of a removed subtree', () => {
+      const fromEl = build('<div><section><p><b>x</b></p></section></div>')
+      const [section, p, b] = fromEl.querySelectorAll('*')
+      const rules = buildRules()
+
+      Morph.use(Morph.idiomorph(Idiomorph))
+      Morph.morph(fromEl, build('<div></div>'), rules)
+
+      expect(rules.removed.mock.calls.map(([node]) => node)).toEqual([section, p, b])
+    })
+  })
+})
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest'
+import Parts from '../app/assets/javascript/parts.js'
+
+function render(parts) {
+  const template = document.createElement('template')
+  template.innerHTML = Parts.join(parts, Parts.analyze(parts))
+
+  const root = template.content.firstChild
+  document.body.replaceChildren(root)
+
+  return root
+}
+
+describe('Parts', () => {
+  describe('analyze', () => {
+    it('marks complete fragments inside the root element', () => {
+      const parts = ['<div class="', 'active', '">', '<b>Hi</b> ', 'Ada', '</div>']
+
+      expect(Parts.analyze(parts)).toEqual([false, false, false, true, true, false])
+    })
+
+    it('skips parts that leave elements open or close outer ones', () => {
+      const parts = ['<ul>', '<li>one', '</li>', '<li>two</li>', '</ul>']
+
+      expect(Parts.analyze(parts)).toEqual([false, false, false, true, false])
+    })
+
+    it('skips parts inside raw text elements and comments', () => {
+      const parts = ['<div><textarea>', 'text', '</textarea><!-- ', 'note', ' -->', 'after', '</div>']
+
+      expect(Parts.analyze(parts)).toEqual([false, false, false, false, false, true, false])
+    })
+
+    it('keeps track of tags split across parts', () => {
+      const parts = ['<div><input value="', '>', '"><br/>', 'x', '</div>']
+
+      expect(Parts.analyze(parts)).toEqual([false, false, false, true, false])
+    })
+  })
+
+  describe('fragment', () => {
+    it('accepts balanced HTML', () => {
+      expect(Parts.fragment('a <b>b</b> <img src="x"> <br/> c')).toBe(true)
+    })
+
+    it('rejects open tags and elements', () => {
+      expect(Parts.fragment('<b>b')).toBe(false)
+      expect(Parts.fragment('</b>')).toBe(false)
+      expect(Parts.fragment('<b class="x')).toBe(false)
+    })
+  })
+
+  describe('patch', () => {
+    const morph = (fromEl, toEl) => fromEl.replaceChildren(...toEl.childNodes)
+
+    it('replaces the text of a part', () => {
+      const root = render(['<div>', 'Hello ', 'Ada', '</div>'])
+
+      expect(Parts.patch(root, new Map([[2, 'Grace']]), morph)).toBe(true)
+      expect(root.textContent).toBe('Hello Grace')
+    })
+
+    it('morphs the elements of a part', () => {
+      const root = render(['<div>', '<p>one</p>', '</div>'])
+      const paragraph = root.querySelector('p')
+      const spy = vi.fn(morph)
+
+      expect(Parts.patch(root, new Map([[1, '<p>two</p>']]), spy)).toBe(true)
+      expect(spy).toHaveBeenCalledOnce()
+      expect(root.querySelector('p')).toBe(paragraph)
+      expect(paragraph.textContent).toBe('two')
+    })
+
+    it('converts live attributes of the new elements', () => {
+      const root = render(['<div>', '<button>a</button>', '</div>'])
+      const spy = vi.fn()
+
+      Parts.patch(root, new Map([[1, '<button live-action="save">a</button>']]), spy)
+
+      expect(spy.mock.calls[0][1].getAttribute('data-action')).toContain('live#action_$save')
+    })
+
+    it('leaves everything alone when a part renders different elements', () => {
+      const root = render(['<div>', '<p>one</p>', '<p>two</p>', '</div>'])
+      const before = root.innerHTML
+
+      expect(Parts.patch(root, new Map([[2, 'text'], [1, '<span>one</span>']]), morph)).toBe(false)
+      expect(root.innerHTML).toBe(before)
+    })
+
+    it('refuses keyed elements that changed places', () => {
+      const root = render(['<div>', '<p live-key="1"></p>', '</div>'])
+
+      expect(Parts.patch(root, new Map([[1, '<p live-key="2"></p>']]), morph)).toBe(false)
+    })
+
+    it('refuses parts without markers', () => {
+      const root = render(['<div class="', 'a', '">', '</div>'])
+
+      expect(Parts.patch(root, new Map([[1, 'b']]), morph)).toBe(false)
+    })
+
+    it('refuses parts inside live-ignore elements and child components', () => {
+      const ignored = render(['<div><div live-ignore>', 'a', '</div></div>'])
+      const child = render(['<div><div data-controller="live">', 'a', '</div></div>'])
+
+      expect(Parts.patch(ignored, new Map([[1, 'b']]), morph)).toBe(false)
+      expect(Parts.patch(child, new Map([[1, 'b']]), morph)).toBe(false)
+    })
+
+    it('refuses child component placeholders', () => {
+      const root = render(['<div>', '<p></p>', '</div>'])
+
+      expect(Parts.patch(root, new Map([[1, '<LiveCable child-live-id="x"></LiveCable>']]), morph)).toBe(false)
+    })
+
+    it('refuses text in tables', () => {
+      const root = render(['<div><table><tbody>', '<tr><td>1</td></tr>', '</tbody></table></div>'])
+
+      expect(Parts.patch(root, new Map([[1, 'oops']]), morph)).toBe(false)
+      expect(Parts.patch(root, new Map([[1, '<tr><td>2</td></tr>']]), morph)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import Scroll from '../app/assets/javascript/scroll.js'
+
+// happy-dom doesn't lay anything out, so sizes and positions are stubbed
+function stubLayout(container, { scrollHeight = 1000, clientHeight = 200 } = {}) {
+  Object.defineProperty(container, 'scrollHeight', { configurable: true, get: () => scrollHeight })
+  Object.defineProperty(container, 'clientHeight', { configurable: true, get: () => clientHeight })
+  container.getBoundingClientRect = () => ({ top: 0, bottom: clientHeight })
+}
+
+function stubPosition(element, top, height = 50) {
+  element.getBoundingClientRect = () => ({ top, bottom: top + height })
+}
+
+describe('Scroll', () => {
+  let root
+  let container
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+  })
+
+  describe('live-scroll="bottom"', () => {
+    beforeEach(() => {
+      root.innerHTML = '<ul live-scroll="bottom"></ul>'
+      container = root.firstChild
+      stubLayout(container)
+    })
+
+    it('stays at the bottom when it was at the bottom', () => {
+      container.scrollTop = 800
+      const states = Scroll.capture(root)
+
+      stubLayout(container, { scrollHeight: 1100 })
+      Scroll.restore(states, root)
+
+      expect(container.scrollTop).toBe(1100)
+    })
+
+    it('stays put when the user scrolled up', () => {
+      Scroll.start(root)
+      container.scrollTop = 300
+      const states = Scroll.capture(root)
+
+      stubLayout(container, { scrollHeight: 1100 })
+      Scroll.restore(states, root)
+
+      expect(container.scrollTop).toBe(300)
+    })
+
+    it('starts new containers at the bottom', () => {
+      Scroll.start(root)
+
+      expect(container.scrollTop).toBe(1000)
+    })
+  })
+
+  describe('live-scroll="anchor"', () => {
+    it('keeps the first visible keyed child in place', () => {
+      root.innerHTML = '<ul live-scroll="anchor"><li live-key="a"></li><li live-key="b"></li></ul>'
+      container = root.firstChild
+      stubLayout(container)
+      const [a, b] = container.children
+      stubPosition(a, -60)
+      stubPosition(b, -10)
+      container.scrollTop = 110
+
+      const states = Scroll.capture(root)
+
+      // Rows inserted above push b 100px down
+      const older = document.createElement('li')
+      container.prepend(older)
+      stubPosition(b, 90)
+      Scroll.restore(states, root)
+
+      expect(container.scrollTop).toBe(210)
+    })
+  })
+})
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 
 // The subscription manager creates an ActionCable consumer at import time, so
 // the module is stubbed before importing it.
@@ -26,6 +26,13 @@ vi.mock('@rails/actioncable', () => ({
 }))
 
 const subscriptionManager = (await import('../app/assets/javascript/subscriptions.js')).default
+const Hooks = (await import('../app/assets/javascript/hooks.js')).default
+const Commands = (await import('../app/assets/javascript/commands.js')).default
+const Morph = (await import('../app/assets/javascript/morph.js')).default
+const morphdom = (await import('morphdom')).default
+const Debug = (await import('../app/assets/javascript/debug.js')).default
+const Latency = (await import('../app/assets/javascript/latency.js')).default
+const Attributes = (await import('../app/assets/javascript/attributes.js')).default
 
 // Minimal stand-in for the Stimulus live controller.
 function buildController(element) {
@@ -35,6 +42,7 @@ function buildController(element) {
     isLoading: false,
     finishLoading: vi.fn(),
     resetLoading: vi.fn(),
+    recoveryMessage: vi.fn(() => null),
   }
 }
 
@@ -115,6 +123,210 @@ describe('SubscriptionManager', () => {
     })
   })
 
+  describe('recovery after a reconnect', () => {
+    const render = (inner) => ({ _refresh: { h: 'tpl', p: [`<div>${inner}</div>`] } })
+
+    function reconnect(controller) {
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { handlers } = createdSubscriptions[0]
+      handlers.received(render('<span>typed</span>'))
+      handlers.connected()
+      handlers.disconnected({ willAttempt: true })
+      return handlers
+    }
+
+    it('holds the first render and sends the recovery values ahead of the outbox', () => {
+      const controller = buildController(buildElement())
+      controller.recoveryMessage.mockReturnValue({ messages: [{ _action: '_recover', form: 'save', params: 'a=1' }] })
+      const handlers = reconnect(controller)
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      subscription.send({ messages: [{ _action: 'offline' }] })
+
+      handlers.received(render('<span>defaults</span>'))
+      expect(controller.element.textContent).toBe('typed')
+
+      handlers.connected()
+
+      expect(sentMessages.map(m => m.messages[0]._action)).toEqual(['_recover', 'offline'])
+
+      handlers.received({ ...render('<span>recovered</span>'), _ids: [sentMessages[0].messages[0]._id] })
+      expect(controller.element.textContent).toBe('recovered')
+    })
+
+    it('leaves the loading state of an action queued while offline to its own answer', () => {
+      const controller = buildController(buildElement())
+      controller.recoveryMessage.mockReturnValue({ messages: [{ _action: '_reactive', name: 'q', value: 'typed' }] })
+      const handlers = reconnect(controller)
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      subscription.send({ messages: [{ _action: 'offline' }] }, controller)
+
+      handlers.received(render('<span>defaults</span>'))
+      handlers.connected()
+      controller.finishLoading.mockClear()
+
+      handlers.received({ ...render('<span>recovered</span>'), _ids: [sentMessages[0].messages[0]._id] })
+      expect(controller.element.textContent).toBe('recovered')
+      expect(controller.finishLoading).not.toHaveBeenCalled()
+
+      handlers.received({ _ack: true, _ids: [sentMessages[1].messages[0]._id] })
+      expect(controller.finishLoading).toHaveBeenCalledOnce()
+    })
+
+    it('leaves queued actions loading when there is nothing to recover', () => {
+      const controller = buildController(buildElement())
+      const handlers = reconnect(controller)
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      subscription.send({ messages: [{ _action: 'offline' }] }, controller)
+      controller.finishLoading.mockClear()
+
+      handlers.received(render('<span>defaults</span>'))
+      handlers.connected()
+
+      expect(controller.element.textContent).toBe('defaults')
+      expect(controller.finishLoading).not.toHaveBeenCalled()
+    })
+
+    it('shows the held render when recovery changed nothing', () => {
+      const controller = buildController(buildElement())
+      controller.recoveryMessage.mockReturnValue({ messages: [{ _action: '_reactive', name: 'q', value: '' }] })
+      const handlers = reconnect(controller)
+
+      handlers.received(render('<span>defaults</span>'))
+      handlers.connected()
+      handlers.received({ _ack: true })
+
+      expect(controller.element.textContent).toBe('defaults')
+    })
+
+    it('shows the held render straight away when there is nothing to recover', () => {
+      const controller = buildController(buildElement())
+      const handlers = reconnect(controller)
+
+      handlers.received(render('<span>defaults</span>'))
+      handlers.connected()
+
+      expect(sentMessages).toHaveLength(0)
+      expect(controller.element.textContent).toBe('defaults')
+    })
+
+    it('does not recover on the first connection', () => {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { handlers } = createdSubscriptions[0]
+
+      handlers.received(render('<span>first</span>'))
+      handlers.connected()
+
+      expect(controller.recoveryMessage).not.toHaveBeenCalled()
+      expect(controller.element.textContent).toBe('first')
+    })
+  })
+
+  describe('suspending hidden tabs', () => {
+    const render = (inner) => ({ _refresh: { h: 'tpl', p: [`<div>${inner}</div>`] } })
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      subscriptionManager.suspendHiddenAfter = 60000
+    })
+
+    afterEach(() => {
+      subscriptionManager.visibilityChanged(false)
+      subscriptionManager.suspendHiddenAfter = null
+      vi.useRealTimers()
+    })
+
+    function connectedController() {
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { handlers } = createdSubscriptions[0]
+      handlers.received(render('<span>typed</span>'))
+      handlers.connected()
+      return { controller, subscription }
+    }
+
+    it('unsubscribes once the tab has been hidden long enough', () => {
+      const { controller } = connectedController()
+
+      subscriptionManager.visibilityChanged(true)
+      vi.advanceTimersByTime(59999)
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+
+      vi.advanceTimersByTime(1)
+      expect(createdSubscriptions[0].unsubscribed).toBe(true)
+      expect(controller.statusValue).toBe('suspended')
+      expect(controller.resetLoading).toHaveBeenCalledOnce()
+    })
+
+    it('stays subscribed when the tab is shown again in time', () => {
+      connectedController()
+
+      subscriptionManager.visibilityChanged(true)
+      vi.advanceTimersByTime(30000)
+      subscriptionManager.visibilityChanged(false)
+      vi.advanceTimersByTime(60000)
+
+      expect(createdSubscriptions).toHaveLength(1)
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+    })
+
+    it('never suspends without suspendHiddenAfter', () => {
+      subscriptionManager.suspendHiddenAfter = null
+      connectedController()
+
+      subscriptionManager.visibilityChanged(true)
+      vi.runAllTimers()
+
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+    })
+
+    it('resubscribes when shown and recovers into a single fresh render', () => {
+      const { controller } = connectedController()
+      controller.recoveryMessage.mockReturnValue({ messages: [{ _action: '_reactive', name: 'q', value: 'typed' }] })
+
+      subscriptionManager.visibilityChanged(true)
+      vi.runAllTimers()
+      subscriptionManager.visibilityChanged(false)
+
+      expect(createdSubscriptions).toHaveLength(2)
+      const { handlers } = createdSubscriptions[1]
+
+      handlers.received(render('<span>defaults</span>'))
+      expect(controller.element.textContent).toBe('typed')
+
+      handlers.connected()
+      expect(sentMessages.map(m => m.messages[0]._action)).toEqual(['_reactive'])
+
+      handlers.received({ ...render('<span>recovered</span>'), _ids: [sentMessages[0].messages[0]._id] })
+      expect(controller.element.textContent).toBe('recovered')
+      expect(controller.statusValue).toBe('subscribed')
+    })
+
+    it('resumes to deliver a message sent while suspended', () => {
+      const { subscription } = connectedController()
+
+      subscriptionManager.visibilityChanged(true)
+      vi.runAllTimers()
+      subscription.send({ messages: [{ _action: 'tick' }] })
+
+      expect(createdSubscriptions).toHaveLength(2)
+
+      createdSubscriptions[1].handlers.connected()
+      expect(sentMessages.map(m => m.messages[0]._action)).toEqual(['tick'])
+    })
+
+    it('does not unsubscribe the channel twice when removed while suspended', () => {
+      const { subscription } = connectedController()
+
+      subscriptionManager.visibilityChanged(true)
+      vi.runAllTimers()
+
+      expect(() => subscription.unsubscribe()).not.toThrow()
+      subscriptionManager.visibilityChanged(false)
+      expect(createdSubscriptions).toHaveLength(1)
+    })
+  })
+
   describe('prune', () => {
     it('keeps subscriptions whose component is on the new page', () => {
       const controller = buildController(buildElement())
@@ -135,5 +347,622 @@ describe('SubscriptionManager', () => {
 
       expect(createdSubscriptions[0].unsubscribed).toBe(true)
     })
+
+    it('finds components rendered with another attribute prefix', () => {
+      Attributes.prefix = 'data-live-'
+
+      try {
+        const controller = buildController(buildElement())
+        subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+
+        const newBody = document.createElement('body')
+        newBody.innerHTML = '<div data-live-id="day-timer" data-live-component="timer"></div>'
+        subscriptionManager.prune(newBody)
+
+        expect(createdSubscriptions[0].unsubscribed).toBe(false)
+      } finally {
+        Attributes.prefix = 'live-'
+      }
+    })
+  })
+
+  describe('outbox', () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('holds messages until the subscription is confirmed', () => {
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+
+      subscription.send({ messages: [{ _action: 'first' }] })
+      subscription.send({ messages: [{ _action: 'second' }] })
+      expect(sentMessages).toHaveLength(0)
+
+      createdSubscriptions[0].handlers.connected()
+
+      expect(sentMessages.map(m => m.messages[0]._action)).toEqual(['first', 'second'])
+    })
+
+    it('sends straight through while connected', () => {
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      createdSubscriptions[0].handlers.connected()
+
+      subscription.send({ messages: [{ _action: 'now' }] })
+
+      expect(sentMessages).toHaveLength(1)
+    })
+
+    it('queues again after a disconnect and replays on reconnect', () => {
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { handlers } = createdSubscriptions[0]
+      handlers.connected()
+
+      handlers.disconnected({ willAttempt: true })
+      subscription.send({ messages: [{ _action: 'offline' }] })
+      expect(sentMessages).toHaveLength(0)
+      expect(controller.resetLoading).toHaveBeenCalledOnce()
+
+      handlers.connected()
+
+      expect(sentMessages).toHaveLength(1)
+    })
+
+    it('drops expired messages and reports them', () => {
+      const element = buildElement()
+      const controller = buildController(element)
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const expired = vi.fn()
+      element.addEventListener('live:message-expired', expired)
+
+      subscription.send({ messages: [{ _action: 'stale' }] })
+      vi.advanceTimersByTime(subscriptionManager.outboxTimeout)
+
+      expect(controller.finishLoading).toHaveBeenCalledOnce()
+      expect(expired).toHaveBeenCalledOnce()
+      expect(expired.mock.calls[0][0].detail.message.messages[0]._action).toBe('stale')
+
+      createdSubscriptions[0].handlers.connected()
+      expect(sentMessages).toHaveLength(0)
+    })
+  })
+
+  describe('replies', () => {
+    function connectedSubscription() {
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      createdSubscriptions[0].handlers.connected()
+      return subscription
+    }
+
+    it('gives every message in the batch an id', () => {
+      const subscription = connectedSubscription()
+
+      subscription.send({ messages: [{ _action: 'a' }, { _action: 'b' }] })
+
+      const ids = sentMessages[0].messages.map(m => m._id)
+      expect(ids).toHaveLength(2)
+      expect(new Set(ids).size).toBe(2)
+    })
+
+    it('resolves when the server acknowledges the batch', async () => {
+      const subscription = connectedSubscription()
+      const promise = subscription.send({ messages: [{ _action: 'noop' }] })
+
+      createdSubscriptions[0].handlers.received({ _ack: true, _ids: [sentMessages[0].messages[0]._id] })
+
+      await expect(promise).resolves.toBeUndefined()
+    })
+
+    it('resolves when the server answers with a refresh', async () => {
+      const subscription = connectedSubscription()
+      const promise = subscription.send({ messages: [{ _action: 'increment' }] })
+
+      createdSubscriptions[0].handlers.received({
+        _refresh: { h: 'tpl', p: ['<div><span>done</span></div>'] },
+        _ids: [sentMessages[0].messages[0]._id],
+      })
+
+      await expect(promise).resolves.toBeUndefined()
+    })
+
+    it('rejects with the error markup when the server raises', async () => {
+      const subscription = connectedSubscription()
+      const promise = subscription.send({ messages: [{ _action: 'boom' }] })
+
+      createdSubscriptions[0].handlers.received({
+        _error: '<details>oops</details>',
+        _ids: [sentMessages[0].messages[0]._id],
+      })
+
+      await expect(promise).rejects.toMatchObject({ html: '<details>oops</details>' })
+    })
+
+    it('does not settle on responses to other messages', async () => {
+      const subscription = connectedSubscription()
+      const first = subscription.send({ messages: [{ _action: 'first' }] })
+      subscription.send({ messages: [{ _action: 'second' }] })
+
+      const settled = vi.fn()
+      first.then(settled, settled)
+
+      createdSubscriptions[0].handlers.received({ _ack: true, _ids: [sentMessages[1].messages[0]._id] })
+      await Promise.resolve()
+
+      expect(settled).not.toHaveBeenCalled()
+    })
+
+    it('rejects messages in flight when the connection drops', async () => {
+      const subscription = connectedSubscription()
+      const promise = subscription.send({ messages: [{ _action: 'lost' }] })
+
+      createdSubscriptions[0].handlers.disconnected({ willAttempt: true })
+
+      await expect(promise).rejects.toThrow(/connection lost/)
+    })
+  })
+
+  describe('the same component in several places', () => {
+    const render = (inner) => ({ _refresh: { h: 'tpl', p: [`<div>${inner}</div>`] } })
+
+    function subscribeTwice() {
+      const first = buildController(buildElement())
+      const second = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, first)
+      subscriptionManager.subscribe('day-timer', 'timer', {}, second)
+      const { handlers } = createdSubscriptions[0]
+      handlers.connected()
+
+      return { first, second, subscription, handlers }
+    }
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('shares one subscription and morphs every element', () => {
+      const { first, second, handlers } = subscribeTwice()
+
+      handlers.received(render('<span>3 items</span>'))
+
+      expect(createdSubscriptions).toHaveLength(1)
+      expect(first.element.textContent).toBe('3 items')
+      expect(second.element.textContent).toBe('3 items')
+      expect(second.statusValue).toBe('subscribed')
+    })
+
+    it('patches parts into every element', () => {
+      const { first, second, handlers } = subscribeTwice()
+      const parts = ['<div><p>', 'one', '</p>', '</div>']
+
+      handlers.received({ _refresh: { h: 'tpl', p: parts } })
+      first.element.querySelector('p').dataset.kept = 'yes'
+      second.element.querySelector('p').dataset.kept = 'yes'
+      handlers.received({ _refresh: { h: 'tpl', p: [null, 'two', null, null] } })
+
+      expect(first.element.textContent).toBe('two')
+      expect(second.element.textContent).toBe('two')
+      expect(second.element.querySelector('p').dataset.kept).toBe('yes')
+    })
+
+    it('finishes the loading state of the element that sent the message only', () => {
+      const { first, second, subscription, handlers } = subscribeTwice()
+
+      subscription.send({ messages: [{ _action: 'add' }] }, second)
+      handlers.received({ ...render('<span>4 items</span>'), _ids: [sentMessages[0].messages[0]._id] })
+
+      expect(second.finishLoading).toHaveBeenCalledOnce()
+      expect(first.finishLoading).not.toHaveBeenCalled()
+    })
+
+    it('finishes every loading state for renders that answer nothing', () => {
+      const { first, second, handlers } = subscribeTwice()
+
+      handlers.received({ _ack: true })
+
+      expect(first.finishLoading).toHaveBeenCalledOnce()
+      expect(second.finishLoading).toHaveBeenCalledOnce()
+    })
+
+    it('dispatches each server event once, from the first element', () => {
+      const { first, handlers } = subscribeTwice()
+      const events = []
+      const listener = event => events.push(event.target)
+      document.addEventListener('cart:updated', listener)
+
+      handlers.received({ _events: [{ name: 'cart:updated', detail: {} }] })
+      document.removeEventListener('cart:updated', listener)
+
+      expect(events).toEqual([first.element])
+    })
+
+    it('dispatches server events from the element whose message they answer', () => {
+      const { second, subscription, handlers } = subscribeTwice()
+      const events = []
+      const listener = event => events.push(event.target)
+      document.addEventListener('cart:updated', listener)
+
+      subscription.send({ messages: [{ _action: 'add' }] }, second)
+      handlers.received({ _ack: true, _ids: [sentMessages[0].messages[0]._id], _events: [{ name: 'cart:updated', detail: {} }] })
+      document.removeEventListener('cart:updated', listener)
+
+      expect(events).toEqual([second.element])
+    })
+
+    it('recovers the inputs of every element in one batch', () => {
+      const { first, second, handlers } = subscribeTwice()
+      first.recoveryMessage.mockReturnValue({ messages: [{ _action: '_reactive', name: 'q', value: 'a' }], _csrf_token: 't' })
+      second.recoveryMessage.mockReturnValue({ messages: [{ _action: '_reactive', name: 'size', value: 'b' }], _csrf_token: 't' })
+
+      handlers.disconnected({ willAttempt: true })
+      handlers.connected()
+
+      expect(sentMessages).toHaveLength(1)
+      expect(sentMessages[0].messages.map(m => m.name)).toEqual(['q', 'size'])
+      expect(sentMessages[0]._csrf_token).toBe('t')
+    })
+
+    it('closes only once the last element is gone', () => {
+      vi.useFakeTimers()
+      const { first, second, subscription } = subscribeTwice()
+
+      subscription.detach(first)
+      vi.runAllTimers()
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+
+      subscription.detach(second)
+      vi.advanceTimersByTime(999)
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+
+      vi.advanceTimersByTime(1)
+      expect(createdSubscriptions[0].unsubscribed).toBe(true)
+    })
+
+    it('stays open when an element is replaced before the close delay', () => {
+      vi.useFakeTimers()
+      const { first, second, subscription, handlers } = subscribeTwice()
+      handlers.received(render('<span>3 items</span>'))
+
+      subscription.detach(first)
+      subscription.detach(second)
+
+      const replacement = buildController(buildElement())
+      expect(subscriptionManager.subscribe('day-timer', 'timer', {}, replacement)).toBe(subscription)
+      vi.runAllTimers()
+
+      expect(createdSubscriptions[0].unsubscribed).toBe(false)
+      expect(replacement.element.textContent).toBe('3 items')
+    })
+  })
+
+  describe('hooks', () => {
+    it('mounts, updates and destroys hooked elements as refreshes are morphed', () => {
+      const calls = []
+      Hooks.register('chart', {
+        mounted() { calls.push(`mounted:${this.el.textContent}`) },
+        beforeUpdate() { calls.push(`beforeUpdate:${this.el.textContent}`) },
+        updated() { calls.push(`updated:${this.el.textContent}`) },
+        destroyed() { calls.push('destroyed') },
+      })
+
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (inner) => ({ _refresh: { h: 'tpl', p: [`<div>${inner}</div>`] } })
+
+      received(render('<span live-hook="chart">1</span>'))
+      received(render('<span live-hook="chart">2</span>'))
+      received(render('<p>gone</p>'))
+
+      expect(calls).toEqual(['mounted:1', 'beforeUpdate:1', 'updated:2', 'destroyed'])
+    })
+  })
+
+  describe('live-js commands', () => {
+    it('keeps command changes through a refresh', () => {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (count) => ({
+        _refresh: { h: 'tpl', p: [`<div><button data-live-commands="toggle:#menu">${count}</button><ul id="menu" hidden></ul></div>`] },
+      })
+
+      received(render(1))
+      const button = controller.element.querySelector('button')
+      Commands.run(button, new Event('click'))
+
+      received(render(2))
+
+      expect(controller.element.querySelector('button').textContent).toBe('2')
+      expect(controller.element.querySelector('#menu').hidden).toBe(false)
+    })
+  })
+
+  describe('lazy', () => {
+    it('keeps live-lazy on the root through renders over the socket', () => {
+      const element = buildElement()
+      element.setAttribute('data-live-lazy-value', '30000')
+      const controller = buildController(element)
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+
+      received({ _refresh: { h: 'tpl', p: ['<div><span>rendered</span></div>'] } })
+
+      expect(element.textContent).toBe('rendered')
+      expect(element.getAttribute('data-live-lazy-value')).toBe('30000')
+    })
+  })
+
+  describe('focus', () => {
+    const render = (value, attributes = '') => ({
+      _refresh: { h: 'tpl', p: [`<div><input name="q" value="${value}" ${attributes}><span>${value}</span></div>`] },
+    })
+
+    function focusedInput() {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+
+      received(render('se'))
+      const input = controller.element.querySelector('input')
+      input.focus()
+      input.value = 'search'
+      input.setSelectionRange(2, 4)
+
+      return { controller, input, received }
+    }
+
+    it('keeps the value and selection of the focused input', () => {
+      const { controller, input, received } = focusedInput()
+
+      received(render('sea'))
+
+      expect(input.value).toBe('search')
+      expect([input.selectionStart, input.selectionEnd]).toEqual([2, 4])
+      expect(document.activeElement).toBe(input)
+      expect(controller.element.querySelector('span').textContent).toBe('sea')
+    })
+
+    it('lets the server win with live-force', () => {
+      const { input, received } = focusedInput()
+
+      received(render('', 'live-force'))
+
+      expect(input.value).toBe('')
+    })
+
+    it('keeps the option picked in a focused select', () => {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (label) => ({
+        _refresh: { h: 'tpl', p: [`<div><select name="size"><option value="s" selected>S</option><option value="m">M</option></select><span>${label}</span></div>`] },
+      })
+
+      received(render('a'))
+      const select = controller.element.querySelector('select')
+      select.focus()
+      select.value = 'm'
+
+      received(render('b'))
+
+      expect(select.value).toBe('m')
+      expect(controller.element.querySelector('span').textContent).toBe('b')
+    })
+  })
+
+  describe('transitions', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('keeps a removed element until its leave transition ends', () => {
+      vi.useFakeTimers()
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (items) => ({
+        _refresh: { h: 'tpl', p: [`<div><ul>${items}</ul></div>`] },
+      })
+
+      received(render('<li live-key="a">a</li><li live-key="b" live-transition-leave="in out" style="transition-duration: 1s">b</li>'))
+      received(render('<li live-key="a">a</li>'))
+
+      const leaving = controller.element.querySelector('[live-key="b"]')
+      expect(leaving).not.toBeNull()
+
+      vi.advanceTimersToNextFrame()
+      expect(leaving.className).toBe('out')
+
+      received(render('<li live-key="a">a!</li>'))
+      expect(leaving.isConnected).toBe(true)
+
+      leaving.dispatchEvent(new Event('transitionend'))
+
+      return Promise.resolve().then(() => {
+        expect(leaving.isConnected).toBe(false)
+        expect(controller.element.textContent).toBe('a!')
+      })
+    })
+
+    it('adds a new element alongside one that is still leaving', () => {
+      vi.useFakeTimers()
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (items) => ({
+        _refresh: { h: 'tpl', p: [`<div><ul>${items}</ul></div>`] },
+      })
+
+      received(render('<li>a</li><li live-transition-leave="in out" style="transition-duration: 1s">b</li>'))
+      received(render('<li>a</li>'))
+      received(render('<li>a</li><li>c</li>'))
+
+      const items = Array.from(controller.element.querySelectorAll('li'), li => li.textContent)
+      expect(items).toEqual(['a', 'b', 'c'])
+    })
+  })
+
+  describe('append containers', () => {
+    it('adds the rendered items to the ones already in the page', () => {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+      const render = (items) => ({
+        _refresh: { h: 'tpl', p: [`<div><ul live-update="append">${items}</ul></div>`] },
+      })
+
+      received(render('<li live-key="1">one</li>'))
+      received(render('<li live-key="2">two</li>'))
+      received(render('<li live-key="2">two!</li>'))
+
+      expect(controller.element.querySelector('ul').textContent).toBe('onetwo!')
+    })
+  })
+
+  describe('part patches', () => {
+    const parts = ['<div>', '<p id="a" class="', 'on', '">', 'one', '</p><p id="b">static</p>', '</div>']
+
+    function subscribe() {
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { received } = createdSubscriptions[0].handlers
+
+      received({ _refresh: { h: 'tpl', p: [...parts] } })
+
+      // Only a full render would put this back
+      controller.element.querySelector('#b').textContent = 'changed locally'
+
+      return { controller, received }
+    }
+
+    it('patches parts that changed on their own', () => {
+      const { controller, received } = subscribe()
+
+      received({ _refresh: { h: 'tpl', p: [null, null, null, null, 'two', null, null] } })
+
+      expect(controller.element.querySelector('#a').textContent).toBe('two')
+      expect(controller.element.querySelector('#b').textContent).toBe('changed locally')
+    })
+
+    it('renders the whole template when a part is inside a tag', () => {
+      const { controller, received } = subscribe()
+
+      received({ _refresh: { h: 'tpl', p: [null, null, 'off', null, 'two', null, null] } })
+
+      expect(controller.element.querySelector('#a').className).toBe('off')
+      expect(controller.element.querySelector('#a').textContent).toBe('two')
+      expect(controller.element.querySelector('#b').textContent).toBe('static')
+    })
+  })
+
+  describe('morph adapters', () => {
+    afterEach(() => {
+      Morph.use(Morph.morphdom(morphdom))
+    })
+
+    it('morphs renders with the configured adapter and the live rules', () => {
+      const adapter = vi.fn()
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+
+      Morph.use(adapter)
+      createdSubscriptions[0].handlers.received({ _refresh: { h: 'tpl', p: ['<div><p live-ignore></p></div>'] } })
+
+      const [fromEl, toEl, rules] = adapter.mock.calls[0]
+
+      expect(fromEl).toBe(controller.element)
+      expect(toEl.querySelector('p')).not.toBeNull()
+      expect(rules.beforeUpdate(toEl.querySelector('p'), toEl.querySelector('p'))).toBe(false)
+      expect(rules.key(Object.assign(document.createElement('li'), { id: 'item' }))).toBe('item')
+    })
+  })
+
+  describe('debug logging', () => {
+    afterEach(() => {
+      Debug.enabled = null
+      vi.restoreAllMocks()
+    })
+
+    it('logs messages sent and received, and renders', () => {
+      const log = vi.spyOn(console, 'debug').mockImplementation(() => {})
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { connected, received } = createdSubscriptions[0].handlers
+
+      Debug.enabled = true
+      connected()
+      subscription.send({ messages: [{ _action: 'start' }] })
+      received({ _refresh: { h: 'tpl', p: ['<div>', 'one', '</div>'] }, _ids: [1] })
+
+      const lines = log.mock.calls.map(([line]) => line)
+
+      expect(lines).toContainEqual(expect.stringContaining('timer/day-timer → start'))
+      expect(lines).toContainEqual(expect.stringContaining('timer/day-timer ← _refresh, _ids'))
+      expect(lines).toContainEqual(expect.stringMatching(/timer\/day-timer morphed 3 of 3 parts in [\d.]+ms/))
+    })
+
+    it('logs nothing unless enabled', () => {
+      const log = vi.spyOn(console, 'debug').mockImplementation(() => {})
+      const controller = buildController(buildElement())
+      subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+
+      createdSubscriptions[0].handlers.received({ _status: 'subscribed' })
+
+      expect(log).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('simulated latency', () => {
+    afterEach(() => {
+      Latency.delay = 0
+      vi.useRealTimers()
+    })
+
+    it('delays messages sent and received', () => {
+      vi.useFakeTimers()
+      Latency.delay = 200
+
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      const { connected, received } = createdSubscriptions[0].handlers
+
+      connected()
+      subscription.send({ messages: [{ _action: 'start' }] })
+      received({ _status: 'subscribed' })
+
+      expect(sentMessages).toHaveLength(0)
+      expect(controller.statusValue).toBe('disconnected')
+
+      vi.advanceTimersByTime(200)
+
+      expect(sentMessages).toHaveLength(1)
+      expect(controller.statusValue).toBe('subscribed')
+    })
+
+    it('drops a delayed message when the channel closes before it is sent', async () => {
+      vi.useFakeTimers()
+      Latency.delay = 200
+
+      const controller = buildController(buildElement())
+      const subscription = subscriptionManager.subscribe('day-timer', 'timer', {}, controller)
+      createdSubscriptions[0].handlers.connected()
+
+      const suspended = subscription.send({ messages: [{ _action: 'start' }] })
+      subscription.suspend()
+      const closed = subscription.send({ messages: [{ _action: 'stop' }] })
+      subscription.unsubscribe()
+
+      expect(() => vi.advanceTimersByTime(200)).not.toThrow()
+      expect(sentMessages).toHaveLength(0)
+      await expect(suspended).rejects.toThrow('LiveCable: connection lost before the server responded')
+      await expect(closed).rejects.toThrow('LiveCable: component unsubscribed')
+    })
   })
 })
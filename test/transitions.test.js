@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import Transitions from '../app/assets/javascript/transitions.js'
+
+describe('Transitions', () => {
+  let element
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    element = document.createElement('div')
+    document.body.appendChild(element)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  describe('enter', () => {
+    it('swaps the from classes for the to classes on the next frame', () => {
+      element.setAttribute('live-transition-enter', 'opacity-0 scale-95 -> opacity-100 scale-100')
+      element.style.transitionDuration = '200ms'
+
+      Transitions.enter(element)
+      expect(element.className).toBe('opacity-0 scale-95')
+
+      vi.advanceTimersToNextFrame()
+      expect(element.className).toBe('opacity-100 scale-100')
+
+      element.dispatchEvent(new Event('transitionend'))
+      expect(element.className).toBe('')
+    })
+
+    it('accepts two class names without an arrow', () => {
+      element.setAttribute('live-transition-enter', 'fade-out fade-in')
+      element.style.transitionDuration = '200ms'
+
+      Transitions.enter(element)
+      vi.advanceTimersToNextFrame()
+
+      expect(element.className).toBe('fade-in')
+    })
+
+    it('finishes without an end event once the duration has passed', () => {
+      element.setAttribute('live-transition-enter', 'a b')
+      element.style.transitionDuration = '0.2s'
+
+      Transitions.enter(element)
+      vi.advanceTimersToNextFrame()
+      vi.advanceTimersByTime(250)
+
+      expect(element.className).toBe('')
+    })
+
+    it('does nothing without the attribute', () => {
+      Transitions.enter(element)
+
+      expect(element.className).toBe('')
+    })
+  })
+
+  describe('leave', () => {
+    it('defers removal until the transition ends', async () => {
+      element.setAttribute('live-transition-leave', 'opacity-100 opacity-0')
+      element.style.transitionDuration = '200ms'
+      const removed = vi.fn()
+
+      expect(Transitions.leave(element, removed)).toBe(false)
+      expect(Transitions.isLeaving(element)).toBe(true)
+      expect(Transitions.leave(element, removed)).toBe(false)
+
+      vi.advanceTimersToNextFrame()
+      element.dispatchEvent(new Event('transitionend'))
+      await Promise.resolve()
+
+      expect(element.isConnected).toBe(false)
+      expect(removed).toHaveBeenCalledExactlyOnceWith(element)
+    })
+
+    it('gives leaving elements a key of their own for morphs', () => {
+      const other = document.createElement('div')
+      other.setAttribute('live-transition-leave', 'in out')
+      element.setAttribute('live-transition-leave', 'in out')
+
+      expect(Transitions.key(element)).toBeNull()
+
+      Transitions.leave(element)
+      Transitions.leave(other)
+
+      expect(Transitions.key(element)).toMatch(/^live-leaving-\d+$/)
+      expect(Transitions.key(other)).not.toBe(Transitions.key(element))
+    })
+
+    it('allows immediate removal without the attribute', () => {
+      expect(Transitions.leave(element)).toBe(true)
+    })
+
+    it('skips transitions when reduced motion is preferred', () => {
+      vi.stubGlobal('matchMedia', () => ({ matches: true }))
+      element.setAttribute('live-transition-leave', 'a b')
+
+      expect(Transitions.leave(element)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import Uploads from '../app/assets/javascript/uploads.js'
+
+describe('Uploads', () => {
+  let form
+  let input
+  let sent
+  let uploads
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="title" value="Report">
+        <input type="file" name="attachment">
+      </form>
+    `
+    form = document.querySelector('form')
+    input = form.querySelector('input[type=file]')
+    sent = []
+    uploads = new Uploads((message, element) => {
+      sent.push({ message, element })
+      return Promise.resolve()
+    })
+  })
+
+  afterEach(() => {
+    Uploads.CHUNK_SIZE = 64 * 1024
+  })
+
+  describe('extract', () => {
+    it('removes files from the form data', () => {
+      const formData = new FormData()
+      const file = new File(['hello'], 'hello.txt', { type: 'text/plain' })
+      formData.append('title', 'Report')
+      formData.append('attachment', file)
+
+      const files = Uploads.extract(formData)
+
+      expect(files).toEqual([['attachment', file]])
+      expect(new URLSearchParams(formData).toString()).toBe('title=Report')
+    })
+
+    it('drops empty file inputs', () => {
+      const formData = new FormData()
+      formData.append('attachment', new File([], ''))
+
+      expect(Uploads.extract(formData)).toEqual([])
+      expect(formData.has('attachment')).toBe(false)
+    })
+  })
+
+  describe('upload', () => {
+    it('sends a file in base64 chunks and resolves with its ref', async () => {
+      Uploads.CHUNK_SIZE = 6
+      const file = new File(['hello world'], 'hello.txt', { type: 'text/plain' })
+
+      const refs = await uploads.upload(form, [['attachment', file]])
+
+      const messages = sent.map(({ message }) => message)
+      expect(messages.map(({ offset, data }) => [offset, atob(data)])).toEqual([[0, 'hello '], [6, 'world']])
+      expect(messages[0]).toMatchObject({ _action: '_upload', name: 'hello.txt', type: 'text/plain', size: 11 })
+      expect(refs).toEqual([['attachment', messages[0].ref]])
+      expect(sent[0].element).toBe(input)
+    })
+
+    it('sends a single chunk for an empty file', async () => {
+      await uploads.upload(form, [['attachment', new File([], 'empty.txt')]])
+
+      expect(sent).toHaveLength(1)
+      expect(sent[0].message).toMatchObject({ size: 0, offset: 0, data: '' })
+    })
+
+    it('reports progress and clears it when done', async () => {
+      Uploads.CHUNK_SIZE = 5
+      const file = new File(['0123456789'], 'digits.txt')
+      const events = []
+      const attributes = []
+      form.addEventListener('live:upload-progress', (event) => {
+        events.push(event.detail.progress)
+        attributes.push([input.getAttribute('live-upload-progress'), form.style.getPropertyValue('--live-upload-progress')])
+      })
+
+      await uploads.upload(form, [['attachment', file]])
+
+      expect(events).toEqual([50, 100])
+      expect(attributes).toEqual([['50', '50'], ['100', '100']])
+      expect(input.hasAttribute('live-upload-progress')).toBe(false)
+      expect(form.hasAttribute('live-upload-progress')).toBe(false)
+    })
+
+    it('rejects with the error of a failed chunk', async () => {
+      uploads = new Uploads(() => Promise.reject(new Error('too large')))
+
+      await expect(uploads.upload(form, [['attachment', new File(['x'], 'x.txt')]])).rejects.toThrow('too large')
+    })
+  })
+
+  describe('cancel', () => {
+    it('stops after the chunk in flight and tells the server to discard it', async () => {
+      Uploads.CHUNK_SIZE = 5
+      const file = new File(['0123456789'], 'digits.txt')
+
+      const promise = uploads.upload(form, [['attachment', file]])
+      uploads.cancel()
+
+      await expect(promise).rejects.toMatchObject({ canceled: true })
+
+      const messages = sent.map(({ message }) => message)
+      expect(messages.map(({ _action }) => _action)).toEqual(['_upload', '_upload_cancel'])
+      expect(messages[1].ref).toBe(messages[0].ref)
+    })
+  })
+})
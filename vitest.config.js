@@ -9,8 +9,23 @@ export default defineConfig({
   },
   resolve: {
     alias: {
+      '@isometriks/live_cable/subscriptions': path.resolve(__dirname, './app/assets/javascript/subscriptions.js'),
       '@isometriks/live_cable/dom': path.resolve(__dirname, './app/assets/javascript/dom.js'),
       '@isometriks/live_cable/loading': path.resolve(__dirname, './app/assets/javascript/loading.js'),
+      '@isometriks/live_cable/hooks': path.resolve(__dirname, './app/assets/javascript/hooks.js'),
+      '@isometriks/live_cable/commands': path.resolve(__dirname, './app/assets/javascript/commands.js'),
+      '@isometriks/live_cable/uploads': path.resolve(__dirname, './app/assets/javascript/uploads.js'),
+      '@isometriks/live_cable/focus': path.resolve(__dirname, './app/assets/javascript/focus.js'),
+      '@isometriks/live_cable/scroll': path.resolve(__dirname, './app/assets/javascript/scroll.js'),
+      '@isometriks/live_cable/transitions': path.resolve(__dirname, './app/assets/javascript/transitions.js'),
+      '@isometriks/live_cable/containers': path.resolve(__dirname, './app/assets/javascript/containers.js'),
+      '@isometriks/live_cable/parts': path.resolve(__dirname, './app/assets/javascript/parts.js'),
+      '@isometriks/live_cable/morph': path.resolve(__dirname, './app/assets/javascript/morph.js'),
+      '@isometriks/live_cable/debug': path.resolve(__dirname, './app/assets/javascript/debug.js'),
+      '@isometriks/live_cable/latency': path.resolve(__dirname, './app/assets/javascript/latency.js'),
+      '@isometriks/live_cable/attributes': path.resolve(__dirname, './app/assets/javascript/attributes.js'),
+      '@isometriks/live_cable/lazy': path.resolve(__dirname, './app/assets/javascript/lazy.js'),
+      '@isometriks/live_cable/config': path.resolve(__dirname, './app/assets/javascript/config.js'),
     },
   }
 })